@@ -0,0 +1,16 @@
+import { Stack } from 'expo-router';
+import { t } from '../lib/i18n';
+
+export default function RootLayout() {
+  return (
+    <Stack>
+      {/* The map screen draws its own header */}
+      <Stack.Screen name="index" options={{ headerShown: false }} />
+      {/* A function so the title is read in the language chosen after start-up */}
+      <Stack.Screen name="history" options={() => ({ title: t('history.title') })} />
+      {/* Deep link routes only forward to the map screen */}
+      <Stack.Screen name="alarm/new" options={{ headerShown: false, animation: 'none' }} />
+      <Stack.Screen name="alarm/[id]" options={{ headerShown: false, animation: 'none' }} />
+    </Stack>
+  );
+}
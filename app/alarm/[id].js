@@ -0,0 +1,14 @@
+import { useEffect } from 'react';
+import { router, useLocalSearchParams } from 'expo-router';
+
+// --- DEEP LINK: myapp://alarm/<id> ---
+// Hands the id to the map screen, which focuses that alarm on the map and in the list.
+export default function OpenAlarmLink() {
+  const { id } = useLocalSearchParams();
+
+  useEffect(() => {
+    router.dismissTo({ pathname: '/', params: { link: 'open', alarmId: id, linkedAt: String(Date.now()) } });
+  }, []);
+
+  return null;
+}
@@ -0,0 +1,15 @@
+import { useEffect } from 'react';
+import { router, useLocalSearchParams } from 'expo-router';
+
+// --- DEEP LINK: myapp://alarm/new?lat=..&lng=..&radius=..&name=.. ---
+// Hands the query to the map screen, which opens a prefilled New Alarm panel.
+// dismissTo goes back to the map already on the stack instead of stacking a second one.
+export default function NewAlarmLink() {
+  const params = useLocalSearchParams();
+
+  useEffect(() => {
+    router.dismissTo({ pathname: '/', params: { ...params, link: 'new', linkedAt: String(Date.now()) } });
+  }, []);
+
+  return null;
+}
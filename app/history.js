@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, FlatList, Alert, ScrollView } from 'react-native';
+import { useLocalSearchParams } from 'expo-router';
+import { HISTORY_EVENT_TYPES, HISTORY_SOURCES, loadHistory, clearHistory } from '../lib/alarmHistory';
+import { t } from '../lib/i18n';
+import { formatDistance } from '../lib/units';
+
+// --- HISTORY SCREEN: What each alarm did and when, for "it rang late" / "it never rang" reports ---
+export default function HistoryScreen() {
+  const params = useLocalSearchParams();
+  const [history, setHistory] = useState([]);
+  const [alarmFilter, setAlarmFilter] = useState(params.alarmId || null);
+
+  useEffect(() => {
+    loadHistory().then(setHistory);
+  }, []);
+
+  // One chip per alarm that appears in the log, named after its latest entry
+  const alarmsInLog = history.reduce((list, entry) => (
+    list.some(a => a.id === entry.alarmId) ? list : [...list, { id: entry.alarmId, name: entry.alarmName }]
+  ), []);
+  const entries = alarmFilter ? history.filter(e => e.alarmId === alarmFilter) : history;
+
+  const confirmClear = () => {
+    Alert.alert(t('history.clearTitle'), t('history.clearMessage'), [
+      { text: t('common.cancel'), style: "cancel" },
+      { text: t('history.clear'), style: "destructive", onPress: async () => {
+        await clearHistory();
+        setHistory([]);
+        setAlarmFilter(null);
+      } },
+    ]);
+  };
+
+  const renderEntry = ({ item }) => {
+    const type = HISTORY_EVENT_TYPES[item.type] || { labelKey: item.type, icon: '•' };
+    const date = new Date(item.timestamp);
+    return (
+      <View style={styles.card}>
+        <Text style={styles.icon}>{type.icon}</Text>
+        <View style={{flex: 1}}>
+          <Text style={styles.cardTitle}>{t(type.labelKey)} • {item.alarmName}</Text>
+          <Text style={styles.cardSub}>{date.toLocaleDateString()} {date.toLocaleTimeString()}</Text>
+          <Text style={styles.cardSub}>{HISTORY_SOURCES[item.source] ? t(HISTORY_SOURCES[item.source]) : item.source || t('history.unknownSource')}</Text>
+          <Text style={styles.cardSub}>
+            {item.latitude != null
+              ? `${item.latitude.toFixed(6)}, ${item.longitude.toFixed(6)}${item.accuracy != null ? ` ±${formatDistance(item.accuracy)}` : ""}`
+              : t('history.noFix')}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterRow}>
+          <TouchableOpacity onPress={() => setAlarmFilter(null)} style={[styles.chip, !alarmFilter && styles.chipActive]}>
+            <Text style={[styles.chipText, !alarmFilter && styles.chipTextActive]}>{t('common.all')}</Text>
+          </TouchableOpacity>
+          {alarmsInLog.map(alarm => (
+            <TouchableOpacity key={alarm.id} onPress={() => setAlarmFilter(alarm.id)} style={[styles.chip, alarmFilter === alarm.id && styles.chipActive]}>
+              <Text style={[styles.chipText, alarmFilter === alarm.id && styles.chipTextActive]}>{alarm.name}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+      <FlatList
+        data={entries}
+        keyExtractor={item => item.id}
+        renderItem={renderEntry}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={<Text style={styles.emptyText}>{t('history.empty')}</Text>}
+      />
+      {history.length > 0 && (
+        <TouchableOpacity onPress={confirmClear} style={styles.clearBtn}>
+          <Text style={styles.clearBtnText}>{t('history.clearButton')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#F2F2F7' },
+  filterRow: { paddingHorizontal: 15, paddingVertical: 10, gap: 8 },
+  chip: { paddingHorizontal: 14, paddingVertical: 6, borderRadius: 16, backgroundColor: '#fff', borderWidth: 1, borderColor: '#ddd' },
+  chipActive: { backgroundColor: '#007AFF', borderColor: '#007AFF' },
+  chipText: { fontSize: 13, color: '#333' },
+  chipTextActive: { color: 'white', fontWeight: 'bold' },
+  list: { paddingHorizontal: 15, paddingBottom: 20 },
+  card: { backgroundColor: '#fff', borderWidth: 1, borderColor: '#eee', padding: 15, borderRadius: 12, marginBottom: 10, flexDirection: 'row' },
+  icon: { fontSize: 22, marginRight: 12 },
+  cardTitle: { fontSize: 16, fontWeight: '600' },
+  cardSub: { fontSize: 12, color: '#888', marginTop: 2 },
+  emptyText: { textAlign: 'center', color: '#999', marginTop: 20 },
+  clearBtn: { margin: 15, paddingVertical: 12, borderRadius: 10, alignItems: 'center', backgroundColor: '#FF3B30' },
+  clearBtnText: { color: 'white', fontWeight: 'bold' },
+});
@@ -1,13 +1,40 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { StyleSheet, Text, View, TouchableOpacity, FlatList, Alert, Switch, Platform, TextInput, Vibration, AppState, LogBox, Keyboard, KeyboardAvoidingView, Dimensions, ScrollView, Modal } from 'react-native';
+import { StyleSheet, Text, View, TouchableOpacity, FlatList, Alert, Switch, Platform, TextInput, Vibration, AppState, LogBox, Keyboard, KeyboardAvoidingView, Dimensions, ScrollView, Modal, Share } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
-import MapView, { Circle, Marker, Callout } from 'react-native-maps';
+import MapView, { Circle, Marker, Callout, Polygon, Polyline } from 'react-native-maps';
 import * as Location from 'expo-location';
 import * as TaskManager from 'expo-task-manager';
 import * as Notifications from 'expo-notifications';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import Slider from '@react-native-community/slider';
 import { Audio } from 'expo-av';
+import * as DocumentPicker from 'expo-document-picker';
+import { File, Directory, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { router, useLocalSearchParams } from 'expo-router';
+import { EXPORT_FORMATS, exportAlarms, importAlarms } from '../lib/alarmFormats';
+import { logAlarmEvent } from '../lib/alarmHistory';
+import * as AlarmRepository from '../lib/alarmRepository';
+import { parseTrack, createTrackPlayer, REPLAY_SPEEDS } from '../lib/trackReplay';
+import { buildAlarmLink, parseNewAlarmParams } from '../lib/alarmLinks';
+import {
+  ACTION_TYPES, ACTION_STATUS_LABELS, getDefaultMessageTemplate, isValidWebhookUrl,
+  enqueueArrivalActions, flushActionQueue, loadActionStatus, pruneActionStatus, takeWaitingMessage, finishMessage,
+} from '../lib/arrivalActions';
+import {
+  ADDRESS_PARTS, loadAddressFormat, saveAddressFormat, getLocationName, getCachedLocationName, retryPendingLookups,
+} from '../lib/geocodeCache';
+import { t, LANGUAGES, loadLanguage, saveLanguage } from '../lib/i18n';
+import {
+  UNIT_SYSTEMS, loadUnits, saveUnits, formatDistance, getSliderSteps, getNearestStepIndex,
+  toInputUnits, fromInputUnits, getInputUnitLabel,
+} from '../lib/units';
+import {
+  getDistance, getPolygonCentroid, getBoundaryInfo, getTriggerType, clampRadius, getPointEastOf,
+  DEFAULT_TRIGGER_SETTINGS, DAY_MS, parseTime, parseDate, isAlarmInWindow, getNextArmedTime,
+  DEFAULT_REARM_DISTANCE, DEFAULT_REARM_COOLDOWN_MINUTES, ETA_REARM_FACTOR,
+  isFixAccurate, appendFix, getMotion, getEtaSeconds, getSideForFix, evaluateAlarms,
+} from '../lib/triggerEngine';
 
 // --- IGNORE ANNOYING "KEEP AWAKE" ERROR ---
 LogBox.ignoreLogs([
@@ -18,21 +45,120 @@ LogBox.ignoreLogs([
 
 // --- CONSTANTS ---
 const LOCATION_TASK_NAME = 'background-location-task';
-const STORAGE_KEY = '@gps_alarms';
+const GEOFENCE_TASK_NAME = 'background-geofence-task';
 const BACKGROUND_RUNNING_KEY = '@background_running';
+const TRIGGER_SETTINGS_KEY = '@trigger_settings';
+const RECENT_FIXES_KEY = '@recent_fixes';
+const PLACES_KEY = '@saved_places';
+const SHOW_PLACES_KEY = '@show_places_on_map';
+const GROUPS_KEY = '@alarm_groups';
+const RECENT_SEARCHES_KEY = '@recent_searches';
+const TRACKING_TIER_KEY = '@tracking_tier';
+const SERVICE_NOTIFICATION_KEY = '@service_notification';
+const MONITORING_ENGINE_KEY = '@monitoring_engine';
+const GEOFENCE_REGIONS_KEY = '@geofence_regions';
+const SIMULATION_KEY = '@simulation_running';
 // CHANGED: New ID to force Android to reset sound settings for this channel
 const CHANNEL_ID = 'alarm-channel-v2'; 
+const WINDOW_REMINDER_ID = 'schedule-window-reminder';
+const NEAREST_ALARM_NOTIFICATION_ID = 'nearest-alarm';
+const STATUS_CHANNEL_ID = 'tracking-status';
+const NOTIFICATION_TASK_NAME = 'alarm-notification-task';
 
 // --- GLOBAL SOUND OBJECT ---
 let soundObject = new Audio.Sound();
+let fadeTimer = null;
+
+// --- SOUND PROFILES: Per-alarm tone, volume, fade-in & vibration ---
+// channelSound is the file name registered through the expo-notifications plugin in app.json
+const ALARM_TONES = [
+  { value: 'classic', labelKey: 'tone.classic', asset: require('../assets/alarm.mp3'), channelSound: 'alarm.mp3' },
+  { value: 'beep', labelKey: 'tone.beep', asset: require('../assets/sounds/beep.wav'), channelSound: 'beep.wav' },
+  { value: 'chime', labelKey: 'tone.chime', asset: require('../assets/sounds/chime.wav'), channelSound: 'chime.wav' },
+  { value: 'custom', labelKey: 'tone.custom' },
+  { value: 'none', labelKey: 'tone.none' },
+];
+
+const VIBRATION_PROFILES = [
+  { value: 'standard', labelKey: 'vibration.standard', pattern: [0, 500, 200, 500] },
+  { value: 'pulse', labelKey: 'vibration.pulse', pattern: [0, 200, 100, 200, 100, 200, 600] },
+  { value: 'long', labelKey: 'vibration.long', pattern: [0, 1500, 500, 1500] },
+  { value: 'none', labelKey: 'vibration.none', pattern: null },
+];
+
+const DEFAULT_SOUND_PROFILE = { tone: 'classic', uri: null, fileName: null, volume: 1, fadeInSeconds: 0, vibration: 'standard' };
+
+// Older alarms have no sound profile - they use the classic tone at full volume
+const getSoundProfile = (alarm) => ({ ...DEFAULT_SOUND_PROFILE, ...(alarm?.sound || {}) });
+
+const getVibrationProfile = (profile) => VIBRATION_PROFILES.find(v => v.value === profile.vibration);
+
+const getVibrationPattern = (profile) => getVibrationProfile(profile)?.pattern || null;
+
+const getToneSource = (profile) => {
+  if (profile.tone === 'custom' && profile.uri) return { uri: profile.uri };
+  return (ALARM_TONES.find(tone => tone.value === profile.tone && tone.asset) || ALARM_TONES[0]).asset;
+};
+
+// Android fixes sound & vibration per channel, so every tone/vibration pair gets its own channel.
+// The default pair keeps using CHANNEL_ID so existing installs don't get a new channel.
+const createdChannels = new Set();
+
+const getAlarmChannelId = (profile) => {
+  if (profile.tone === 'classic' && profile.vibration === 'standard') return CHANNEL_ID;
+  return `alarm-${profile.tone}-${profile.vibration}`;
+};
+
+const ensureAlarmChannel = async (profile) => {
+  const channelId = getAlarmChannelId(profile);
+  if (Platform.OS !== 'android' || channelId === CHANNEL_ID || createdChannels.has(channelId)) return channelId;
+
+  const tone = ALARM_TONES.find(option => option.value === profile.tone);
+  const pattern = getVibrationPattern(profile);
+  await Notifications.setNotificationChannelAsync(channelId, {
+    name: t('channel.alarmProfile', {
+      tone: t(tone?.labelKey || 'tone.custom'),
+      vibration: t(getVibrationProfile(profile)?.labelKey || 'vibration.standard'),
+    }),
+    importance: Notifications.AndroidImportance.MAX,
+    lockscreenVisibility: Notifications.AndroidNotificationVisibility.PUBLIC,
+    // Files picked from the device can't back a channel - those fall back to the system sound
+    sound: profile.tone === 'none' ? null : (tone?.channelSound || 'default'),
+    enableVibrate: !!pattern,
+    ...(pattern ? { vibrationPattern: pattern } : {}),
+  });
+  createdChannels.add(channelId);
+  return channelId;
+};
+
+// Ramp the volume from silent up to the target over the given number of seconds
+const fadeInSound = (sound, targetVolume, seconds) => {
+  const steps = Math.max(1, Math.round(seconds * 4));
+  let step = 0;
+  const timer = setInterval(() => {
+    step += 1;
+    sound.setVolumeAsync(targetVolume * Math.min(1, step / steps)).catch(() => {});
+    if (step >= steps) clearInterval(timer);
+  }, 250);
+  return timer;
+};
+
+// Loads the profile's tone into the given sound object and starts it. Returns the fade timer, if any.
+const startToneAsync = async (sound, profile, isLooping) => {
+  const fades = profile.fadeInSeconds > 0;
+  await sound.loadAsync(getToneSource(profile), { isLooping, volume: fades ? 0 : profile.volume });
+  await sound.playAsync();
+  return fades ? fadeInSound(sound, profile.volume, profile.fadeInSeconds) : null;
+};
 
 // --- NOTIFICATION HANDLER ---
 Notifications.setNotificationHandler({
   handleNotification: async (notification) => {
     // Suppress sound for refresh notifications (isRefresh flag in data)
     const isRefresh = notification.request.content.data?.isRefresh === true;
+    const isStatus = notification.request.identifier === NEAREST_ALARM_NOTIFICATION_ID;
     return {
-      shouldShowBanner: true,
+      shouldShowBanner: !isStatus,
       shouldShowList: true,
       shouldPlaySound: !isRefresh, // Don't play sound on refresh notifications
       shouldSetBadge: false,
@@ -40,33 +166,143 @@ Notifications.setNotificationHandler({
   },
 });
 
-// --- HELPER: Haversine Distance ---
-const getDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371e3; 
-  const φ1 = lat1 * (Math.PI / 180);
-  const φ2 = lat2 * (Math.PI / 180);
-  const Δφ = (lat2 - lat1) * (Math.PI / 180);
-  const Δλ = (lon2 - lon1) * (Math.PI / 180);
-  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; 
+const formatArea = (alarm) => {
+  if (alarm.shape !== 'polygon') return t('area.radius', { distance: formatDistance(alarm.radius) });
+  return t('area.polygon', { count: alarm.polygon.length });
+};
+
+// --- HELPER: Trigger types ---
+// 'enter' fires when crossing into the circle, 'exit' when crossing out of it
+const TRIGGER_TYPES = [
+  { value: 'enter', labelKey: 'trigger.enter' },
+  { value: 'exit', labelKey: 'trigger.exit' },
+  { value: 'both', labelKey: 'trigger.both' },
+];
+
+// 'radius' rings at the circle itself, 'eta' rings etaMinutes before reaching it
+const ALARM_MODES = [
+  { value: 'radius', labelKey: 'mode.radius' },
+  { value: 'eta', labelKey: 'mode.eta' },
+];
+
+const getTriggerLabel = (alarm) => {
+  if (alarm.mode === 'eta') return t('trigger.etaBefore', { minutes: alarm.etaMinutes });
+  return t(TRIGGER_TYPES.find(type => type.value === getTriggerType(alarm))?.labelKey || 'trigger.enter');
+};
+
+// Distance to the edge the alarm is waiting to cross (0 when already past it)
+const getDistanceToBoundary = (coords, alarm) => {
+  const { signed } = getBoundaryInfo(coords, alarm);
+  if (getTriggerType(alarm) === 'exit' && signed <= 0) return -signed;
+  return Math.max(0, signed);
+};
+
+// --- TRIGGER SETTINGS (shared by foreground watcher and background task) ---
+const loadTriggerSettings = async () => {
+  try {
+    const json = await AsyncStorage.getItem(TRIGGER_SETTINGS_KEY);
+    return json != null ? { ...DEFAULT_TRIGGER_SETTINGS, ...JSON.parse(json) } : DEFAULT_TRIGGER_SETTINGS;
+  } catch (e) {
+    return DEFAULT_TRIGGER_SETTINGS;
+  }
+};
+
+// --- SCHEDULES: Editing and labels (the window rules and their format are in lib/triggerEngine) ---
+const DAY_KEYS = ['day.sun', 'day.mon', 'day.tue', 'day.wed', 'day.thu', 'day.fri', 'day.sat'];
+const DEFAULT_SCHEDULE = { days: [1, 2, 3, 4, 5], ranges: [{ start: '07:00', end: '10:00' }] };
+
+const formatTime = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const formatSchedule = (alarm) => {
+  const parts = [];
+  if (alarm.schedule) {
+    const days = [...alarm.schedule.days].sort();
+    let dayText = days.map(d => t(DAY_KEYS[d])).join(', ');
+    if (days.length === 7) dayText = t('schedule.everyDay');
+    else if (days.join() === '1,2,3,4,5') dayText = t('schedule.weekdays');
+    else if (days.join() === '0,6') dayText = t('schedule.weekends');
+    const rangeText = alarm.schedule.ranges.length > 0
+      ? alarm.schedule.ranges.map(r => `${r.start}–${r.end}`).join(', ')
+      : t('schedule.allDay');
+    parts.push(`${dayText} ${rangeText}`);
+  }
+  if (alarm.startDate) parts.push(t('schedule.from', { date: alarm.startDate }));
+  if (alarm.endDate) parts.push(t('schedule.until', { date: alarm.endDate }));
+  return parts.join(' • ');
+};
+
+const formatNextArmed = (next, now = new Date()) => {
+  const dayDiff = Math.round(
+    (new Date(next.getFullYear(), next.getMonth(), next.getDate()) - new Date(now.getFullYear(), now.getMonth(), now.getDate())) / DAY_MS
+  );
+  if (dayDiff === 0) return t('schedule.today', { time: formatTime(next) });
+  if (dayDiff === 1) return t('schedule.tomorrow', { time: formatTime(next) });
+  if (dayDiff < 7) return `${t(DAY_KEYS[next.getDay()])} ${formatTime(next)}`;
+  return `${next.getDate()}/${next.getMonth() + 1} ${formatTime(next)}`;
+};
+
+// --- MOTION: Smoothed speed & heading from the last fixes fed to checkAlarms ---
+// Kept in storage so the foreground watcher and background task build one shared history
+
+const loadRecentFixes = async () => {
+  try {
+    const json = await AsyncStorage.getItem(RECENT_FIXES_KEY);
+    return json != null ? JSON.parse(json) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const recordFix = async (coords, timestamp) => {
+  const fixes = await loadRecentFixes();
+  const updated = appendFix(fixes, coords, timestamp);
+  if (updated !== fixes) await AsyncStorage.setItem(RECENT_FIXES_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+// Time since an alarm started ringing, clock style: 0:42, 12:05, 1:02:33
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+const formatEta = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 1) return t('eta.underMinute');
+  if (minutes < 60) return t('eta.minutes', { minutes });
+  return t('eta.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
 };
 
 // --- AUDIO: PLAY LOOPING ALARM ---
-const playAlarmSound = async () => {
+const playAlarmSound = async (alarm) => {
   try {
-    // 1. Check if already playing
+    const profile = getSoundProfile(alarm);
+
+    // 1. Vibrate (repeating) for every profile that has a pattern
+    const pattern = getVibrationPattern(profile);
+    if (pattern) Vibration.vibrate(pattern, true);
+    if (profile.tone === 'none') return;
+
+    // 2. Check if already playing
     const status = await soundObject.getStatusAsync();
     if (status.isLoaded && status.isPlaying) return; 
 
-    // 2. Unload previous to be safe
+    // 3. Unload previous to be safe
     await soundObject.unloadAsync();
     
-    // 3. Load and Play (Looping)
-    // MAKE SURE 'alarm.mp3' IS IN YOUR ASSETS FOLDER!
-    await soundObject.loadAsync(require('../assets/alarm.mp3')); 
-    await soundObject.setIsLoopingAsync(true);
-    await soundObject.playAsync();
+    // 4. Load and Play (Looping)
+    clearInterval(fadeTimer);
+    try {
+      fadeTimer = await startToneAsync(soundObject, profile, true);
+    } catch (e) {
+      // Picked file was moved or deleted - the alarm must still ring
+      console.log("Custom sound failed, using default tone", e);
+      await soundObject.unloadAsync();
+      fadeTimer = await startToneAsync(soundObject, { ...profile, tone: 'classic' }, true);
+    }
     
   } catch (error) {
     console.log("Sound Error - Did you add alarm.mp3 to assets?", error);
@@ -74,6 +310,9 @@ const playAlarmSound = async () => {
 };
 
 const stopAlarmSound = async () => {
+  clearInterval(fadeTimer);
+  fadeTimer = null;
+  Vibration.cancel();
   try {
     const status = await soundObject.getStatusAsync();
     if (status.isLoaded) {
@@ -96,20 +335,34 @@ const stopAlarmSound = async () => {
 // --- HELPER: Show persistent alarm notification ---
 const showAlarmNotification = async (alarm, silent = false) => {
   // Use scheduleNotificationAsync with trigger: null to show immediately
+  // triggeredBy records which crossing rang the alarm ('enter' or 'exit')
+  const isDeparture = alarm.triggeredBy === 'exit';
+  let title = isDeparture ? t('notification.departureTitle') : t('notification.arrivalTitle');
+  let body = isDeparture
+    ? t('notification.departureBody', { name: alarm.name })
+    : t('notification.arrivalBody', { name: alarm.name });
+  if (alarm.snoozedUntil) {
+    title = t('notification.snoozedTitle');
+    body = t('notification.snoozedBody', { name: alarm.name, time: formatTime(new Date(alarm.snoozedUntil)) });
+  }
+  const profile = getSoundProfile(alarm);
+  const channelId = await ensureAlarmChannel(profile);
+  const pattern = getVibrationPattern(profile);
   await Notifications.scheduleNotificationAsync({
     identifier: `alarm-${alarm.id}`, // Unique ID per alarm
     content: {
-      title: "🚨 ARRIVAL ALERT!",
-      body: `Arrived at ${alarm.name}. Tap "Stop Alarm" to dismiss.`,
+      title,
+      body,
       categoryIdentifier: 'alarm-actions',
       data: { alarmId: alarm.id, isRefresh: silent }, // Track if this is a refresh
       priority: Notifications.AndroidNotificationPriority.MAX, 
-      channelId: CHANNEL_ID,
+      channelId,
       autoDismiss: false,
       sticky: true,
       // Only add sound/vibration on initial notification, not on refresh
       ...(silent ? {} : {
-        vibrate: [0, 500, 1000, 500, 1000, 500], // Vibration pattern
+        sound: profile.tone === 'none' ? false : (ALARM_TONES.find(tone => tone.value === profile.tone)?.channelSound || 'default'),
+        ...(pattern ? { vibrate: pattern } : {}),
       }),
     },
     trigger: null, // null trigger shows notification immediately
@@ -117,58 +370,628 @@ const showAlarmNotification = async (alarm, silent = false) => {
 };
 
 // --- LOGIC: CHECK & TRIGGER ALARMS ---
-const checkAlarms = async (currentLoc) => {
+// While a track replay runs, real fixes and geofence events are ignored so they don't fight the simulated position
+const isSimulating = async () => (await AsyncStorage.getItem(SIMULATION_KEY)) === 'true';
+
+// source says who delivered the fix ('foreground' watcher, 'background' task or a 'simulation' replay) for the history log
+const checkAlarms = async (currentLoc, timestamp = Date.now(), source = 'foreground') => {
   try {
-    const jsonValue = await AsyncStorage.getItem(STORAGE_KEY);
-    const savedAlarms = jsonValue != null ? JSON.parse(jsonValue) : [];
-    let alarmsUpdated = false;
-    const now = Date.now();
+    if (source !== 'simulation' && await isSimulating()) return false;
+    const settings = await loadTriggerSettings();
+    if (!isFixAccurate(currentLoc, settings)) return false;
+    const motion = getMotion(await recordFix(currentLoc, timestamp));
 
-    const updatedAlarms = savedAlarms.map(alarm => {
-      if (!alarm.active) return alarm; 
-      if (alarm.triggered) return alarm; 
+    return await updateAlarmSides((alarm) => getSideForFix(currentLoc, alarm, motion), timestamp, { settings, coords: currentLoc, motion, source });
+  } catch (e) {
+    console.log("Error checking alarms:", e);
+  }
+  return false;
+};
 
-      const dist = getDistance(
-        currentLoc.latitude, currentLoc.longitude,
-        alarm.latitude, alarm.longitude
-      );
+// Shared trigger path for GPS fixes and OS geofence events.
+// getSide(alarm) returns true (inside), false (outside) or null/undefined when this update says nothing about it.
+// Geofence events carry no coordinates and are already confirmed by the OS, so they skip the debounce
+// and re-arm repeating alarms on the opposite crossing instead of after rearmDistance.
+// Resolves to true when any alarm changed. Storage errors are passed on to the caller.
+const updateAlarmSides = async (getSide, timestamp = Date.now(), { settings, coords = null, motion = null, debounce = true, source } = {}) => {
+  settings = settings || await loadTriggerSettings();
+  let alarmsUpdated = false;
+  const now = timestamp;
 
-      if (dist <= alarm.radius) {
-        // --- TRIGGER ALARM ---
-        // 1. Play Continuous Audio
-        playAlarmSound();
+  const { events } = await AlarmRepository.updateWithEvents(async (savedAlarms, trips) => {
+    const { alarms: evaluated, events: crossings, changed } = evaluateAlarms(savedAlarms, getSide, { now, settings, coords, motion, debounce });
+    if (!changed) return { alarms: savedAlarms, events: [] };
+    alarmsUpdated = true;
 
-        // 2. Show Notification (with unique ID per alarm to prevent replacement)
-        showAlarmNotification(alarm);
-        
-        alarmsUpdated = true;
-        // Mark triggered but keep 'active' true so it stays ON in UI until stopped
-        return { ...alarm, triggered: true }; 
+    const events = [];
+    const updatedAlarms = evaluated.map(alarm => {
+      const crossing = crossings.find(e => e.alarmId === alarm.id)?.type;
+      if (crossing === 'snooze-over') {
+        const woken = wakeSnoozedAlarm(alarm, now);
+        events.push(woken.event);
+        return woken.alarm;
       }
+      if (crossing === 'trigger') events.push({ type: 'trigger', alarm, coords, source, timestamp: now });
       return alarm;
     });
 
-    if (alarmsUpdated) {
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updatedAlarms));
-      return true; 
+    // A snooze that ran out after we left ends that trip stop, so hand over to the next one
+    return { ...advanceTrips(updatedAlarms, trips), events };
+  });
+  await runAlarmEvents(events);
+  return alarmsUpdated;
+};
+
+// What a stored alarm change sets off. Runs after AlarmRepository.updateWithEvents() has written the change,
+// so a failed write doesn't ring, log or post anything - the next fix simply tries again.
+// event = { type: 'trigger', alarm, coords, source, timestamp } | { type: 'snooze-over', alarm, stillThere }
+//       | { type: 'stop', alarm, coords, source }
+const runAlarmEvents = async (events) => {
+  for (const event of events) {
+    const { alarm } = event;
+    if (event.type === 'trigger') {
+      // --- TRIGGER ALARM ---
+      // 1. Play Continuous Audio
+      playAlarmSound(alarm);
+
+      // 2. Show Notification (with unique ID per alarm to prevent replacement)
+      showAlarmNotification(alarm);
+
+      // 3. Record it, with the fix that did it
+      logAlarmEvent('trigger', alarm, { coords: event.coords, source: event.source });
+
+      // 4. Webhooks and messages - not for replayed tracks, nobody has really arrived
+      if (event.source !== 'simulation') {
+        enqueueArrivalActions(alarm, { coords: event.coords, timestamp: event.timestamp })
+          .then(() => flushActionQueue())
+          .catch((e) => console.log("Error running arrival actions:", e));
+      }
+    } else if (event.type === 'snooze-over') {
+      Notifications.cancelScheduledNotificationAsync(`snooze-${alarm.id}`);
+      if (event.stillThere) {
+        playAlarmSound(alarm);
+        showAlarmNotification(alarm);
+        logAlarmEvent('trigger', alarm, { source: 'snooze' });
+      } else {
+        Notifications.dismissNotificationAsync(`alarm-${alarm.id}`);
+        logAlarmEvent('stop', alarm, { source: 'snooze' });
+      }
+    } else if (event.type === 'stop') {
+      logAlarmEvent('stop', alarm, { coords: event.coords, source: event.source });
     }
-  } catch (e) { }
-  return false;
+  }
+};
+
+// --- TRIPS: Ordered stops where only the next one is armed ---
+// trip = { id, name, stops: [alarmId, ...], nextIndex, status: 'idle' | 'running' | 'done' }
+// Stop alarms carry tripId. While a trip runs only stops[nextIndex] is active.
+// Trips are stored by AlarmRepository and change in the same updateWithEvents() step as their stop alarms.
+
+// Fresh, armed state for the stop a trip is heading to
+const armStop = (alarm) => ({ ...alarm, active: true, triggered: false, snoozedUntil: null, wasInside: null, pendingCrossing: null, rearm: null });
+
+// Move running trips past stops that were dismissed (or switched off / deleted) and arm the following stop.
+// Returns { alarms, trips }, with the given trips list when no trip moved on.
+const advanceTrips = (alarmList, trips) => {
+  let updatedAlarms = alarmList;
+  let changed = false;
+  const updatedTrips = trips.map(trip => {
+    if (trip.status !== 'running') return trip;
+    const current = alarmList.find(a => a.id === trip.stops[trip.nextIndex]);
+    if (current && (current.active || current.triggered)) return trip;
+
+    changed = true;
+    let nextIndex = trip.nextIndex + 1;
+    while (nextIndex < trip.stops.length && !alarmList.some(a => a.id === trip.stops[nextIndex])) nextIndex++;
+    if (nextIndex >= trip.stops.length) return { ...trip, nextIndex: trip.stops.length, status: 'done' };
+
+    updatedAlarms = updatedAlarms.map(a => a.id === trip.stops[nextIndex] ? armStop(a) : a);
+    return { ...trip, nextIndex };
+  });
+  return { alarms: updatedAlarms, trips: changed ? updatedTrips : trips };
+};
+
+// --- SAVED PLACES: Reusable spots (home, office, stations) to create alarms from ---
+// place = { id, name, latitude, longitude, radius }. Alarms created from a place carry placeId.
+const loadPlaces = async () => {
+  try {
+    const json = await AsyncStorage.getItem(PLACES_KEY);
+    return json != null ? JSON.parse(json) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const savePlaces = async (places) => {
+  await AsyncStorage.setItem(PLACES_KEY, JSON.stringify(places));
+};
+
+const loadShowPlaces = async () => (await AsyncStorage.getItem(SHOW_PLACES_KEY)) !== 'false';
+
+// --- GROUPS: Named sets of alarms that are switched on and off together ---
+// group = { id, name, color }. Member alarms carry groupId; their markers and areas use the group color.
+const GROUP_COLORS = ['#007AFF', '#FF9500', '#AF52DE', '#FF2D55', '#5AC8FA', '#A2845E'];
+
+const loadGroups = async () => {
+  try {
+    const json = await AsyncStorage.getItem(GROUPS_KEY);
+    return json != null ? JSON.parse(json) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const saveGroups = async (groups) => {
+  await AsyncStorage.setItem(GROUPS_KEY, JSON.stringify(groups));
+};
+
+// '#RRGGBB' -> 'rgba(r, g, b, alpha)' for area fills
+const withAlpha = (hex, alpha) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+// --- PLACEHOLDER NAMES: "Alarm #N" until the address can be looked up ---
+// Alarms saved with the placeholder carry autoName. Once a queued lookup succeeds they take the place name.
+// Resolves to the stored alarms if any were renamed, otherwise null.
+const fillAutoNames = async () => {
+  await retryPendingLookups();
+  const waiting = (await AlarmRepository.load()).filter(a => a.autoName);
+  if (waiting.length === 0) return null;
+
+  const names = {};
+  for (const alarm of waiting) {
+    const name = await getCachedLocationName(alarm.latitude, alarm.longitude);
+    if (name) names[alarm.id] = name;
+  }
+  if (Object.keys(names).length === 0) return null;
+  // The user may have renamed or deleted them meanwhile - the unchanged list skips the write
+  let renamed = false;
+  const updated = await AlarmRepository.update(list => {
+    const next = list.map(a => {
+      if (!a.autoName || !names[a.id]) return a;
+      renamed = true;
+      return { ...a, name: names[a.id], autoName: false };
+    });
+    return renamed ? next : list;
+  });
+  return renamed ? updated : null;
+};
+
+// --- SEARCH: Recent destination searches ---
+const MAX_RECENT_SEARCHES = 8;
+const MAX_SEARCH_RESULTS = 5;
+
+const loadRecentSearches = async () => {
+  try {
+    const json = await AsyncStorage.getItem(RECENT_SEARCHES_KEY);
+    return json != null ? JSON.parse(json) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Newest first; picking the same place again moves it back to the top
+const rememberSearch = async (place) => {
+  const recent = await loadRecentSearches();
+  const updated = [
+    place,
+    ...recent.filter(r => getDistance(r.latitude, r.longitude, place.latitude, place.longitude) > DUPLICATE_DISTANCE),
+  ].slice(0, MAX_RECENT_SEARCHES);
+  await AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+// --- IMPORT: Turning file drafts into alarms ---
+// Imported alarms start switched off so a long destination list doesn't all ring at once
+const IMPORTED_ALARM_DEFAULTS = {
+  mode: 'radius',
+  etaMinutes: 10,
+  schedule: null,
+  startDate: null,
+  endDate: null,
+  repeat: false,
+  rearmDistance: DEFAULT_REARM_DISTANCE,
+  rearmCooldownMinutes: DEFAULT_REARM_COOLDOWN_MINUTES,
+  sound: DEFAULT_SOUND_PROFILE,
+  active: false,
+  triggered: false,
+  wasInside: null,
+  pendingCrossing: null,
+  rearm: null,
+  snoozedUntil: null,
+};
+
+const DUPLICATE_DISTANCE = 25; // metres
+
+// Same kind of geofence at (nearly) the same spot, with the same name or the same size
+const isDuplicateAlarm = (draft, alarm) =>
+  (alarm.shape || 'circle') === draft.shape &&
+  getDistance(draft.latitude, draft.longitude, alarm.latitude, alarm.longitude) <= DUPLICATE_DISTANCE &&
+  (alarm.name.trim().toLowerCase() === draft.name.trim().toLowerCase() || Math.abs(alarm.radius - draft.radius) < 1);
+
+// --- ALARM ACTIONS: Stop & Snooze (shared by the UI and notification buttons) ---
+// One-shot alarms turn OFF completely, repeating ones stay armed and cool down before ringing again
+const getStoppedAlarm = (alarm, now = Date.now()) => {
+  // Trip stops are always one-shot - dismissing one hands over to the next stop
+  if (!alarm.repeat || alarm.tripId) return { ...alarm, triggered: false, snoozedUntil: null, active: false };
+  const cooldown = (alarm.rearmCooldownMinutes || DEFAULT_REARM_COOLDOWN_MINUTES) * 60 * 1000;
+  return { ...alarm, triggered: false, snoozedUntil: null, rearm: { crossing: alarm.triggeredBy || 'enter', until: now + cooldown } };
+};
+
+// A snooze has run out: ring again if we're still on the side that triggered the alarm, otherwise let it go.
+// Returns { alarm, event } - the event rings or releases it once stored, see runAlarmEvents().
+const wakeSnoozedAlarm = (alarm, now = Date.now()) => {
+  const stillThere = alarm.triggeredBy === 'exit' ? alarm.wasInside === false : alarm.wasInside === true;
+  if (!stillThere) return { alarm: getStoppedAlarm(alarm, now), event: { type: 'snooze-over', alarm, stillThere } };
+  const woken = { ...alarm, snoozedUntil: null, triggeredAt: now };
+  return { alarm: woken, event: { type: 'snooze-over', alarm: woken, stillThere } };
+};
+
+const isRinging = (alarm) => alarm.active && alarm.triggered && !alarm.snoozedUntil;
+
+// Where we were when the user reacted - the latest fix either watcher recorded
+const getLastFix = async () => {
+  const fixes = await loadRecentFixes();
+  return fixes[fixes.length - 1] || null;
+};
+
+// Returns the updated alarm list.
+// source ('app' or 'notification') is recorded in the history log.
+const stopAlarm = async (id, source = 'app') => {
+  const lastFix = await getLastFix();
+  const { alarms: updated, events } = await AlarmRepository.updateWithEvents((savedAlarms, trips) => {
+    // Only a ringing (or snoozed) alarm can be stopped - a second tap on the same notification is a no-op
+    const ringing = savedAlarms.find(a => a.id === id && a.triggered);
+    if (!ringing) return { alarms: savedAlarms, events: [] };
+    const stopped = savedAlarms.map(a => a === ringing ? getStoppedAlarm(a) : a);
+    return { ...advanceTrips(stopped, trips), events: [{ type: 'stop', alarm: ringing, coords: lastFix, source }] };
+  });
+  await runAlarmEvents(events);
+  if (!updated.some(isRinging)) stopAlarmSound();
+
+  // Dismiss the notification when alarm is stopped
+  await Notifications.cancelScheduledNotificationAsync(`snooze-${id}`);
+  await Notifications.dismissNotificationAsync(`alarm-${id}`);
+  return updated;
+};
+
+const snoozeAlarm = async (id, source = 'app') => {
+  const { snoozeMinutes } = await loadTriggerSettings();
+  const snoozedUntil = Date.now() + snoozeMinutes * 60 * 1000;
+  const updated = await AlarmRepository.update((savedAlarms) =>
+    savedAlarms.some(a => a.id === id && a.triggered)
+      ? savedAlarms.map(a => a.id === id && a.triggered ? { ...a, snoozedUntil } : a)
+      : savedAlarms
+  );
+  const snoozed = updated.find(a => a.id === id);
+  if (!snoozed || !snoozed.triggered) return updated;
+
+  logAlarmEvent('snooze', snoozed, { coords: await getLastFix(), source });
+  // Keep playing if another alarm is still ringing
+  if (!updated.some(isRinging)) stopAlarmSound();
+  await showAlarmNotification(snoozed, true);
+
+  // Backup in case no location fix arrives to wake the alarm (e.g. sitting still on a train)
+  await Notifications.scheduleNotificationAsync({
+    identifier: `snooze-${id}`,
+    content: {
+      title: t('notification.snoozeOverTitle'),
+      body: t('notification.snoozeOverBody', { name: snoozed.name }),
+      categoryIdentifier: 'alarm-actions',
+      data: { alarmId: id },
+      priority: Notifications.AndroidNotificationPriority.MAX,
+      channelId: await ensureAlarmChannel(getSoundProfile(snoozed)),
+    },
+    trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: new Date(snoozedUntil) },
+  });
+  return updated;
+};
+
+// Wake snoozes that ran out while no fix came in, based on the last known side of each boundary.
+// Resolves to the stored alarms.
+const wakeExpiredSnoozes = async () => {
+  const { alarms, events } = await AlarmRepository.updateWithEvents((savedAlarms, trips) => {
+    const now = Date.now();
+    const events = [];
+    const woken = savedAlarms.map(a => {
+      if (!(a.active && a.triggered && a.snoozedUntil && now >= a.snoozedUntil)) return a;
+      const result = wakeSnoozedAlarm(a, now);
+      events.push(result.event);
+      return result.alarm;
+    });
+    if (events.length === 0) return { alarms: savedAlarms, events };
+    return { ...advanceTrips(woken, trips), events };
+  });
+  await runAlarmEvents(events);
+  return alarms;
+};
+
+const handleAlarmAction = async (actionId, alarmId) => {
+  if (actionId === 'snooze') return snoozeAlarm(alarmId, 'notification');
+
+  // Tapping the notification body just opens the app, where the ringing screen has Stop and Snooze
+  if (actionId !== 'stop') return null;
+  stopAlarmSound();
+  return stopAlarm(alarmId, 'notification');
+};
+
+// --- ADAPTIVE TRACKING: Poll less often the further we are from every boundary ---
+// Tiers are picked by how soon we could reach the nearest boundary, tightest first
+const TRACKING_TIERS = [
+  { value: 'close', labelKey: 'tier.close', maxSeconds: 3 * 60, accuracy: Location.Accuracy.BestForNavigation, timeInterval: 5000, distanceInterval: 5 },
+  { value: 'near', labelKey: 'tier.near', maxSeconds: 10 * 60, accuracy: Location.Accuracy.High, timeInterval: 15000, distanceInterval: 25 },
+  { value: 'approaching', labelKey: 'tier.approaching', maxSeconds: 30 * 60, accuracy: Location.Accuracy.Balanced, timeInterval: 60000, distanceInterval: 150 },
+  { value: 'far', labelKey: 'tier.far', maxSeconds: Infinity, accuracy: Location.Accuracy.Balanced, timeInterval: 180000, distanceInterval: 1000 },
+];
+const WALKING_SPEED = 1.4; // m/s - assume at least this pace so standing still near a boundary stays precise
+
+const getTrackingTier = (coords, savedAlarms, now = Date.now()) => {
+  // Ringing and cooling-down alarms don't need a precise fix to change state
+  const armed = savedAlarms.filter(a => a.active && !a.triggered && !a.rearm && isAlarmInWindow(a, new Date(now)));
+  if (armed.length === 0) return TRACKING_TIERS[TRACKING_TIERS.length - 1];
+
+  const speed = Math.max(coords.speed || 0, WALKING_SPEED);
+  const seconds = Math.min(...armed.map(alarm => {
+    // Either side of the edge counts - "both" and "exit" alarms wait for us to leave
+    const distance = Math.max(0, Math.abs(getBoundaryInfo(coords, alarm).signed) - (coords.accuracy || 0));
+    const lead = alarm.mode === 'eta' ? alarm.etaMinutes * 60 : 0;
+    return distance / speed - lead;
+  }));
+  return TRACKING_TIERS.find(tier => seconds <= tier.maxSeconds);
+};
+
+// --- SERVICE NOTIFICATION: Nearest armed alarm in an ongoing notification next to the foreground service's ---
+// expo-location's foreground-service notification takes no data and reports no tap, so it keeps the generic text
+// and the nearest alarm goes into a notification of our own. Tapping that one focuses the alarm (Android only).
+const SERVICE_NOTIFICATION_INTERVAL_MS = 30 * 1000; // a new text waits this long, so not on every fix
+
+// A function rather than a constant so it follows the language setting
+const getDefaultServiceNotification = () => ({ alarmId: null, title: t('service.title'), body: t('service.body') });
+
+const getServiceNotification = (coords, savedAlarms, motion, now = Date.now()) => {
+  if (!coords) return getDefaultServiceNotification();
+  const armed = savedAlarms.filter(a => a.active && !a.triggered && isAlarmInWindow(a, new Date(now)));
+  if (armed.length === 0) return getDefaultServiceNotification();
+
+  const nearest = armed
+    .map(alarm => ({ alarm, distance: getDistanceToBoundary(coords, alarm) }))
+    .reduce((best, item) => item.distance < best.distance ? item : best);
+  const eta = getTriggerType(nearest.alarm) !== 'exit' ? getEtaSeconds(coords, nearest.alarm, motion) : null;
+  const others = armed.length - 1;
+  return {
+    alarmId: nearest.alarm.id,
+    title: `⏰ ${nearest.alarm.name}`,
+    body: t('service.toGo', { distance: formatDistance(nearest.distance) }) +
+      (eta > 0 ? ` • ⏱ ${formatEta(eta)}` : "") +
+      (others > 0 ? ` • ${t('service.othersArmed', { count: others })}` : ""),
+  };
+};
+
+const getTrackingOptions = (tier) => {
+  const notification = getDefaultServiceNotification();
+  return {
+    accuracy: tier.accuracy,
+    timeInterval: tier.timeInterval,
+    distanceInterval: tier.distanceInterval,
+    showsBackgroundLocationIndicator: true,
+    foregroundService: {
+      notificationTitle: notification.title,
+      notificationBody: notification.body,
+    }
+  };
+};
+
+// Shows the nearest alarm, or clears the notification when nothing is armed (alarmId null)
+const showNearestAlarmNotification = async (notification) => {
+  if (Platform.OS !== 'android') return;
+  if (!notification.alarmId) return Notifications.dismissNotificationAsync(NEAREST_ALARM_NOTIFICATION_ID);
+  await Notifications.scheduleNotificationAsync({
+    identifier: NEAREST_ALARM_NOTIFICATION_ID,
+    content: {
+      title: notification.title,
+      body: notification.body,
+      data: { alarmId: notification.alarmId, isRefresh: true },
+      channelId: STATUS_CHANNEL_ID,
+      autoDismiss: false,
+      sticky: true,
+    },
+    trigger: null,
+  });
+};
+
+const formatTrackingTier = (tier) => {
+  const interval = tier.timeInterval < 60000
+    ? t('tier.seconds', { seconds: tier.timeInterval / 1000 })
+    : t('eta.minutes', { minutes: tier.timeInterval / 60000 });
+  return t('tier.interval', { interval, distance: formatDistance(tier.distanceInterval) });
+};
+
+const loadServiceNotification = async () => {
+  try {
+    const json = await AsyncStorage.getItem(SERVICE_NOTIFICATION_KEY);
+    return json != null ? JSON.parse(json) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Starts background updates with the tier for these coordinates, or swaps the options of a running task
+// when the tier changed, then refreshes the nearest-alarm notification. Starting a running task again
+// re-registers it in place, which keeps the Android foreground service alive - stopping it first would fail when we're in the background.
+// Without coordinates we don't know how close we are, so the tightest tier is used.
+// A new tier applies at once; a new notification text waits until SERVICE_NOTIFICATION_INTERVAL_MS has passed.
+const applyTrackingTier = async (coords, timestamp = Date.now()) => {
+  const savedAlarms = await AlarmRepository.load();
+  const tier = coords ? getTrackingTier(coords, savedAlarms, timestamp) : TRACKING_TIERS[0];
+  const notification = getServiceNotification(coords, savedAlarms, getMotion(await loadRecentFixes()), timestamp);
+  const hasStarted = await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK_NAME);
+  const shown = await loadServiceNotification();
+
+  const tierChanged = !hasStarted || tier.value !== await AsyncStorage.getItem(TRACKING_TIER_KEY);
+  const textChanged = !shown || shown.title !== notification.title || shown.body !== notification.body;
+  const notificationDue = textChanged && (!shown || shown.alarmId !== notification.alarmId ||
+    Date.now() - shown.updatedAt >= SERVICE_NOTIFICATION_INTERVAL_MS);
+  if (!tierChanged && !notificationDue) return tier;
+
+  if (tierChanged) {
+    await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, getTrackingOptions(tier));
+    await AsyncStorage.setItem(TRACKING_TIER_KEY, tier.value);
+  }
+  // Between text updates the notification keeps what it showed last
+  if (notificationDue) {
+    await showNearestAlarmNotification(notification);
+    await AsyncStorage.setItem(SERVICE_NOTIFICATION_KEY, JSON.stringify({ ...notification, updatedAt: Date.now() }));
+  }
+  return tier;
+};
+
+// --- NATIVE GEOFENCING: Let the OS watch alarm areas instead of continuous GPS ---
+const MONITORING_ENGINES = [
+  { value: 'gps', labelKey: 'engine.gps' },
+  { value: 'geofence', labelKey: 'engine.geofence' },
+];
+const MAX_NATIVE_GEOFENCES = 20; // iOS monitors at most 20 regions per app
+
+const loadMonitoringEngine = async () => {
+  try {
+    return (await AsyncStorage.getItem(MONITORING_ENGINE_KEY)) || 'gps';
+  } catch (e) {
+    return 'gps';
+  }
+};
+
+// The OS only knows circles crossed on arrival/departure - polygons and ETA alarms stay on GPS
+const isNativeGeofenceAlarm = (alarm) => (alarm.shape || 'circle') === 'circle' && alarm.mode !== 'eta';
+
+// Every switched-on alarm is registered, even outside its schedule, so a window opening needs no re-sync.
+// Past the OS limit, the nearest ones win and the rest fall back to GPS. The chosen set is ordered by id so
+// moving around doesn't change the signature syncGeofences compares, only a different set of regions does.
+const getGeofenceRegions = (savedAlarms, coords) => {
+  let candidates = savedAlarms.filter(a => a.active && isNativeGeofenceAlarm(a));
+  if (coords) {
+    candidates = [...candidates].sort((a, b) =>
+      getDistance(coords.latitude, coords.longitude, a.latitude, a.longitude) -
+      getDistance(coords.latitude, coords.longitude, b.latitude, b.longitude));
+  }
+  return candidates.slice(0, MAX_NATIVE_GEOFENCES)
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)))
+    .map(a => ({
+      identifier: a.id,
+      latitude: a.latitude,
+      longitude: a.longitude,
+      radius: a.radius,
+      notifyOnEnter: true,
+      notifyOnExit: true,
+    }));
+};
+
+// Registers the current set of regions, only touching the OS when the set actually changed.
+// Called from the UI and from background tasks, since stopping alarms and trips can change what's armed.
+const syncGeofences = async (savedAlarms, coords = null) => {
+  if (!savedAlarms) savedAlarms = await AlarmRepository.load();
+  const backgroundRunning = JSON.parse(await AsyncStorage.getItem(BACKGROUND_RUNNING_KEY) ?? 'true');
+  const engine = await loadMonitoringEngine();
+  const regions = backgroundRunning && engine === 'geofence' ? getGeofenceRegions(savedAlarms, coords) : [];
+
+  const signature = JSON.stringify(regions);
+  const hasStarted = await Location.hasStartedGeofencingAsync(GEOFENCE_TASK_NAME);
+  if (hasStarted === regions.length > 0 && signature === await AsyncStorage.getItem(GEOFENCE_REGIONS_KEY)) return regions;
+
+  if (regions.length > 0) {
+    await Location.startGeofencingAsync(GEOFENCE_TASK_NAME, regions);
+  } else if (hasStarted) {
+    await Location.stopGeofencingAsync(GEOFENCE_TASK_NAME);
+  }
+  await AsyncStorage.setItem(GEOFENCE_REGIONS_KEY, signature);
+  return regions;
 };
 
+// --- DISPLAY PREFERENCES: Language & units ---
+// Background tasks can start without the app, so each one loads them before building notification text
+const loadDisplayPreferences = () => Promise.all([loadLanguage(), loadUnits()]);
+
 // --- BACKGROUND TASK ---
 TaskManager.defineTask(LOCATION_TASK_NAME, async ({ data, error }) => {
   if (error) return;
   if (data) {
     const { locations } = data;
-    await checkAlarms(locations[0].coords);
+    await loadDisplayPreferences();
+    const changed = await checkAlarms(locations[0].coords, locations[0].timestamp, 'background');
+    // Retry webhooks that failed earlier - a fresh fix often means we're back online
+    flushActionQueue().catch((e) => console.log("Error retrying arrival actions:", e));
+    try {
+      await applyTrackingTier(locations[0].coords, locations[0].timestamp);
+      if (changed) await syncGeofences(null, locations[0].coords);
+    } catch (e) {
+      console.log("Error adapting tracking:", e);
+    }
+  }
+});
+
+// OS geofence crossings go through the same trigger path as GPS fixes
+TaskManager.defineTask(GEOFENCE_TASK_NAME, async ({ data, error }) => {
+  if (error || !data) return;
+  const { eventType, region } = data;
+  const isInside = eventType === Location.GeofencingEventType.Enter;
+  try {
+    if (await isSimulating()) return;
+    await loadDisplayPreferences();
+    const changed = await updateAlarmSides((alarm) => alarm.id === region.identifier ? isInside : null, Date.now(), { debounce: false, source: 'geofence' });
+    if (changed) await syncGeofences();
+  } catch (e) {
+    console.log("Error handling geofence event:", e);
+  }
+});
+
+// Notification buttons pressed while the app isn't open (no JS listener mounted)
+TaskManager.defineTask(NOTIFICATION_TASK_NAME, async ({ data, error }) => {
+  if (error || !data) return;
+  const actionId = data.actionIdentifier;
+  const alarmId = data.notification?.request?.content?.data?.alarmId;
+  if (!actionId || !alarmId) return;
+  try {
+    await loadDisplayPreferences();
+    await handleAlarmAction(actionId, alarmId);
+    // Stopping may switch an alarm off or arm the next trip stop
+    await syncGeofences();
+  } catch (e) {
+    console.log("Error handling notification action:", e);
   }
 });
 
 // --- MAIN APP ---
 export default function App() {
+  const linkParams = useLocalSearchParams(); // set by the app/alarm/* deep link routes
   const [location, setLocation] = useState(null);
+  const [motion, setMotion] = useState(null);
   const [alarms, setAlarms] = useState([]);
+  const [trips, setTrips] = useState([]);
+  const [showTrips, setShowTrips] = useState(false);
+  const [places, setPlaces] = useState([]);
+  const [showPlaces, setShowPlaces] = useState(false);
+  const [placeDraft, setPlaceDraft] = useState(null);
+  const [placesOnMap, setPlacesOnMap] = useState(true);
+  const [groups, setGroups] = useState([]);
+  const [groupFilter, setGroupFilter] = useState(null); // group id, or null for every alarm
+  const [groupDraft, setGroupDraft] = useState(null);
+  const [ringingClock, setRingingClock] = useState(Date.now());
+  const [tripDraft, setTripDraft] = useState(null);
+  const [exportSelection, setExportSelection] = useState(null);
+  const [exportFormat, setExportFormat] = useState('gpx');
+  const [importPreview, setImportPreview] = useState(null);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isSearchFocused, setIsSearchFocused] = useState(false);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [trackingTier, setTrackingTier] = useState(null);
+  const [monitoringEngine, setMonitoringEngine] = useState('gps');
+  const [geofenceCount, setGeofenceCount] = useState(0);
+  const [simTrack, setSimTrack] = useState(null); // fixes of the track being replayed
+  const [simIndex, setSimIndex] = useState(0);
+  const [simSpeed, setSimSpeed] = useState(REPLAY_SPEEDS[1]);
+  const [simPosition, setSimPosition] = useState(null);
   const [gpsEnabled, setGpsEnabled] = useState(true);
   
   const hasShownGpsWarning = useRef(false);
@@ -177,6 +1000,25 @@ export default function App() {
   const [editingId, setEditingId] = useState(null);
   const [tempName, setTempName] = useState("");
   const [tempRadius, setTempRadius] = useState(500);
+  const [radiusInput, setRadiusInput] = useState(null); // text in the radius box while it's being typed
+  const [tempTriggerType, setTempTriggerType] = useState('enter');
+  const [tempMode, setTempMode] = useState('radius');
+  const [tempEtaMinutes, setTempEtaMinutes] = useState(10);
+  const [tempSchedule, setTempSchedule] = useState(null);
+  const [tempStartDate, setTempStartDate] = useState("");
+  const [tempEndDate, setTempEndDate] = useState("");
+  const [tempRepeat, setTempRepeat] = useState(false);
+  const [tempRearmDistance, setTempRearmDistance] = useState(DEFAULT_REARM_DISTANCE);
+  const [tempRearmCooldown, setTempRearmCooldown] = useState(DEFAULT_REARM_COOLDOWN_MINUTES);
+  const [tempSound, setTempSound] = useState(DEFAULT_SOUND_PROFILE);
+  const [tempGroupId, setTempGroupId] = useState(null);
+  const [tempActions, setTempActions] = useState([]);
+  const [tempAutoName, setTempAutoName] = useState(null); // the placeholder name while it hasn't been edited
+  const [actionStatus, setActionStatus] = useState({});
+  const [tempShape, setTempShape] = useState('circle');
+  const [tempPolygon, setTempPolygon] = useState(null);
+  const [isDrawing, setIsDrawing] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
   const [selectedCoord, setSelectedCoord] = useState(null);
   const [selectedLocationName, setSelectedLocationName] = useState(null);
   const [keyboardHeight, setKeyboardHeight] = useState(0);
@@ -187,11 +1029,22 @@ export default function App() {
   const [sortByDistance, setSortByDistance] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [backgroundRunning, setBackgroundRunning] = useState(true);
+  const [triggerSettings, setTriggerSettings] = useState(DEFAULT_TRIGGER_SETTINGS);
+  const [addressFormat, setAddressFormat] = useState(ADDRESS_PARTS.map(p => p.value));
+  const [languagePreference, setLanguagePreference] = useState('auto'); // t() reads the module state; this re-renders
+  const [unitsPreference, setUnitsPreference] = useState('auto');
   
   const mapRef = useRef(null);
+  const hasShownStorageError = useRef(false);
   const flatListRef = useRef(null);
   const responseListener = useRef();
+  const receivedListener = useRef();
   const locationWatcher = useRef(null);
+  const scheduledReminder = useRef(null);
+  const previewSound = useRef(null);
+  const previewTimers = useRef([]);
+  const trackPlayer = useRef(null);
+  const isSharingMessage = useRef(false);
 
   // --- INIT ---
   useEffect(() => {
@@ -206,24 +1059,54 @@ export default function App() {
           playThroughEarpieceAndroid: false,
       });
 
+      const [language, units] = await loadDisplayPreferences();
+      setLanguagePreference(language);
+      setUnitsPreference(units);
       await loadBackgroundRunningPreference();
+      setTriggerSettings(await loadTriggerSettings());
+      setRecentSearches(await loadRecentSearches());
+      setMonitoringEngine(await loadMonitoringEngine());
+      setPlaces(await loadPlaces());
+      setPlacesOnMap(await loadShowPlaces());
+      setGroups(await loadGroups());
+      setAddressFormat(await loadAddressFormat());
       loadAlarms();
       await requestPermissions();
       setupNotifications();
       gpsInterval = startGpsStatusCheck();
 
       // NOTIFICATION LISTENER
-      responseListener.current = Notifications.addNotificationResponseReceivedListener(response => {
+      responseListener.current = Notifications.addNotificationResponseReceivedListener(async response => {
+        // The window reminder opened the app - the AppState listener restarts tracking
+        if (response.notification.request.identifier === WINDOW_REMINDER_ID) return;
         const actionId = response.actionIdentifier;
         const alarmId = response.notification.request.content.data.alarmId;
+        if (response.notification.request.identifier === NEAREST_ALARM_NOTIFICATION_ID) {
+          focusAlarm(alarmId);
+          return;
+        }
         
-        // Stop the ringing immediately upon interaction
-        stopAlarmSound(); 
-
-        if (actionId === 'stop') {
-          stopAlarmAndRefresh(alarmId);
+        try {
+          const updated = await handleAlarmAction(actionId, alarmId);
+          // A tap on the body may arrive before the background task's trigger reached our state
+          if (updated) setAlarms(updated);
+          else await loadAlarms();
+          setTrips(await AlarmRepository.loadTrips());
+        } catch (e) {
+          handleStorageError(e);
         }
-        // If tapped notification body, sound is already stopped above
+      });
+
+      // A tap that launched the app arrived before the listener above existed
+      const launchResponse = Notifications.getLastNotificationResponse();
+      if (launchResponse?.notification.request.identifier === NEAREST_ALARM_NOTIFICATION_ID) {
+        Notifications.clearLastNotificationResponse();
+        focusAlarm(launchResponse.notification.request.content.data.alarmId);
+      }
+
+      // A window opening while the app is still running restarts tracking without waiting for a tap
+      receivedListener.current = Notifications.addNotificationReceivedListener(notification => {
+        if (notification.request.identifier === WINDOW_REMINDER_ID) updateBackgroundService();
       });
 
       // Re-show notifications for active triggered alarms (prevents dismissal)
@@ -231,9 +1114,7 @@ export default function App() {
       // Using silent=true to prevent notification sound from playing on refresh
       notificationRefreshInterval = setInterval(async () => {
         try {
-          const json = await AsyncStorage.getItem(STORAGE_KEY);
-          if (!json) return;
-          const savedAlarms = JSON.parse(json);
+          const savedAlarms = await wakeExpiredSnoozes();
           const triggeredAlarms = savedAlarms.filter(a => a.active && a.triggered);
           
           // Re-show notification silently for each active triggered alarm
@@ -242,8 +1123,14 @@ export default function App() {
           for (const alarm of triggeredAlarms) {
             await showAlarmNotification(alarm, true); // true = silent refresh
           }
+
+          await flushActionQueue();
+          await shareWaitingMessage();
+
+          const renamed = await fillAutoNames();
+          if (renamed) setAlarms(renamed);
         } catch (e) {
-          // Silently handle errors
+          console.log("Error refreshing alarm notifications:", e);
         }
       }, 5000); // Check every 5 seconds (reduced frequency to minimize interruptions)
     };
@@ -252,6 +1139,7 @@ export default function App() {
 
     return () => {
       if (responseListener.current) responseListener.current.remove();
+      if (receivedListener.current) receivedListener.current.remove();
       if (locationWatcher.current) locationWatcher.current.remove();
       if (gpsInterval) clearInterval(gpsInterval);
       if (notificationRefreshInterval) clearInterval(notificationRefreshInterval);
@@ -281,6 +1169,40 @@ export default function App() {
     };
   }, []);
 
+  // Alarms may have been triggered by the background task while we were away, and a schedule window may
+  // have opened since tracking stopped
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') return;
+      loadAlarms();
+      updateBackgroundService();
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Ticks the "ringing for" timers while the ringing screen is up
+  const isAnyRinging = alarms.some(isRinging);
+  useEffect(() => {
+    if (!isAnyRinging) return;
+    setRingingClock(Date.now());
+    const timer = setInterval(() => setRingingClock(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isAnyRinging]);
+
+  // Deep links arrive as params; linkedAt changes with every link so opening the same one twice still works
+  useEffect(() => {
+    if (linkParams.linkedAt) handleAlarmLink(linkParams);
+  }, [linkParams.linkedAt]);
+
+  // A replay can't outlive the screen; also clears the flag if the app was killed mid-replay
+  useEffect(() => {
+    AsyncStorage.removeItem(SIMULATION_KEY);
+    return () => {
+      if (trackPlayer.current) trackPlayer.current.stop();
+      AsyncStorage.removeItem(SIMULATION_KEY);
+    };
+  }, []);
+
   // Update background service when backgroundRunning preference or alarms change
   useEffect(() => {
     // Delay to ensure state is updated
@@ -290,71 +1212,84 @@ export default function App() {
     return () => clearTimeout(timer);
   }, [backgroundRunning]);
 
+  // The background task changes tier on its own, so read the current one whenever settings open
+  useEffect(() => {
+    if (showSettings) AsyncStorage.getItem(TRACKING_TIER_KEY).then(setTrackingTier).catch(() => {});
+  }, [showSettings]);
+
   // --- ALARM ACTIONS ---
   const stopAlarmAndRefresh = async (id) => {
     try {
-        const json = await AsyncStorage.getItem(STORAGE_KEY);
-        if (!json) return;
-
-        let currentList = JSON.parse(json);
-        // Turn OFF the alarm completely
-        const updated = currentList.map(a => a.id === id ? { ...a, triggered: false, active: false } : a);
+        const updated = await stopAlarm(id);
+        if (updated) setAlarms(updated);
+        setTrips(await AlarmRepository.loadTrips());
+    } catch(e) { handleStorageError(e); }
+  };
 
-        await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
-        setAlarms(updated);
-        stopAlarmSound();
-        
-        // Dismiss the notification when alarm is stopped
-        await Notifications.dismissNotificationAsync(`alarm-${id}`);
-    } catch(e) { console.log(e); }
+  const snoozeAlarmAndRefresh = async (id) => {
+    try {
+        const updated = await snoozeAlarm(id);
+        if (updated) setAlarms(updated);
+    } catch(e) { handleStorageError(e); }
   };
 
   // --- BACKGROUND & GPS MANAGEMENT ---
   const updateBackgroundService = async () => {
     try {
-      // Check if there are any active alarms
-      const jsonValue = await AsyncStorage.getItem(STORAGE_KEY);
-      const savedAlarms = jsonValue != null ? JSON.parse(jsonValue) : [];
-      const hasActiveAlarms = savedAlarms.some(a => a.active);
-      
-      // Should run if: background running is enabled AND (there are active alarms OR GPS is enabled)
-      const shouldRun = backgroundRunning && (hasActiveAlarms || gpsEnabled);
+      // Check if there are any active alarms inside their schedule window (or still ringing)
+      const savedAlarms = await AlarmRepository.load();
+      const armedAlarms = savedAlarms.filter(a => a.active && (a.triggered || isAlarmInWindow(a)));
+      const hasArmedAlarms = armedAlarms.length > 0;
+      const lastKnown = await Location.getLastKnownPositionAsync();
+
+      // In geofencing mode the OS watches what it can; GPS only runs for the alarms it can't take
+      const regions = await syncGeofences(savedAlarms, lastKnown?.coords);
+      setGeofenceCount(regions.length);
+      const needsGps = armedAlarms.some(a => !regions.some(r => r.identifier === a.id));
+
+      // Should run if: background running is enabled AND at least one armed alarm needs GPS right now
+      const shouldRun = backgroundRunning && needsGps;
+      await updateWindowReminder(backgroundRunning && !hasArmedAlarms ? savedAlarms : []);
       
       const hasStarted = await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK_NAME);
-      if (shouldRun && !hasStarted) {
-        await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
-          accuracy: Location.Accuracy.BestForNavigation,
-          timeInterval: 5000,
-          distanceInterval: 5,
-          showsBackgroundLocationIndicator: true,
-          foregroundService: { 
-            notificationTitle: "GPS Alarm Active", 
-            notificationBody: "Monitoring location in background..." 
-          }
-        });
-      } else if (!shouldRun && hasStarted) {
-        await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
+      if (shouldRun) {
+        // Alarms may have moved closer or further away, so re-pick the tier from the last fix
+        const tier = await applyTrackingTier(lastKnown?.coords, lastKnown?.timestamp);
+        setTrackingTier(tier.value);
+      } else {
+        if (hasStarted) await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
+        await AsyncStorage.multiRemove([TRACKING_TIER_KEY, SERVICE_NOTIFICATION_KEY]);
+        await showNearestAlarmNotification(getDefaultServiceNotification());
+        setTrackingTier(null);
       }
     } catch (e) {
       console.log("Error updating background service:", e);
     }
   };
 
-  const manageBackgroundService = async (shouldBeRunning) => {
-    try {
-      const hasStarted = await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK_NAME);
-      if (shouldBeRunning && !hasStarted) {
-        await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
-          accuracy: Location.Accuracy.BestForNavigation,
-          timeInterval: 5000,
-          distanceInterval: 5,
-          showsBackgroundLocationIndicator: true,
-          foregroundService: { notificationTitle: "GPS Alarm Active", notificationBody: "Checking location..." }
-        });
-      } else if (!shouldBeRunning && hasStarted) {
-        await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
-      }
-    } catch (e) { }
+  // Tracking stops between windows and the OS won't start it again for us, so a notification is scheduled
+  // for the next window start. It restarts tracking when it arrives with the app running, or once it's opened.
+  const updateWindowReminder = async (savedAlarms) => {
+    const upcoming = savedAlarms
+      .filter(a => a.active)
+      .map(a => ({ alarm: a, time: getNextArmedTime(a) }))
+      .filter(n => n.time)
+      .sort((a, b) => a.time - b.time)[0];
+    const reminderKey = upcoming ? `${upcoming.alarm.id}-${upcoming.time.getTime()}` : null;
+    if (reminderKey === scheduledReminder.current) return;
+
+    scheduledReminder.current = reminderKey;
+    await Notifications.cancelScheduledNotificationAsync(WINDOW_REMINDER_ID);
+    if (!upcoming) return;
+    await Notifications.scheduleNotificationAsync({
+      identifier: WINDOW_REMINDER_ID,
+      content: {
+        title: t('notification.windowTitle'),
+        body: t('notification.windowBody', { name: upcoming.alarm.name }),
+        channelId: CHANNEL_ID,
+      },
+      trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: upcoming.time },
+    });
   };
 
   const startGpsStatusCheck = () => {
@@ -364,7 +1299,7 @@ export default function App() {
         if (!enabled) {
           if (!hasShownGpsWarning.current) {
              Notifications.scheduleNotificationAsync({
-              content: { title: "⚠️ GPS Disabled", body: "Alarms paused.", priority: Notifications.AndroidNotificationPriority.HIGH },
+              content: { title: t('notification.gpsOffTitle'), body: t('notification.gpsOffBody'), priority: Notifications.AndroidNotificationPriority.HIGH },
               trigger: null,
             });
             hasShownGpsWarning.current = true;
@@ -382,7 +1317,7 @@ export default function App() {
   const requestPermissions = async () => {
     try {
       const { status: fgStatus } = await Location.requestForegroundPermissionsAsync();
-      if (fgStatus !== 'granted') return Alert.alert("Error", "Location permission required.");
+      if (fgStatus !== 'granted') return Alert.alert(t('common.error'), t('permissions.location'));
       const { status: bgStatus } = await Location.requestBackgroundPermissionsAsync();
       const { status: notifStatus } = await Notifications.requestPermissionsAsync();
       
@@ -407,8 +1342,9 @@ export default function App() {
           }
           // Don't update map region automatically - let user control the map
           // The built-in My Location button will handle centering when clicked
-          const changed = await checkAlarms(loc.coords);
+          const changed = await checkAlarms(loc.coords, loc.timestamp);
           if (changed) loadAlarms();
+          setMotion(getMotion(await loadRecentFixes()));
         }
       );
     } catch (e) {}
@@ -417,24 +1353,91 @@ export default function App() {
   const setupNotifications = async () => {
     if (Platform.OS === 'android') {
       await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
-        name: 'Alarm Channel V2', // Changed name
+        name: t('channel.default'),
         importance: Notifications.AndroidImportance.MAX,
         vibrationPattern: [0, 500, 200, 500],
         lockscreenVisibility: Notifications.AndroidNotificationVisibility.PUBLIC,
         sound: 'default', // Fallback system sound
         enableVibrate: true,
       });
-    }
+      // Quiet, so updating the nearest-alarm notification never buzzes
+      await Notifications.setNotificationChannelAsync(STATUS_CHANNEL_ID, {
+        name: t('channel.status'),
+        importance: Notifications.AndroidImportance.LOW,
+        lockscreenVisibility: Notifications.AndroidNotificationVisibility.PUBLIC,
+      });
+    }
     await Notifications.setNotificationCategoryAsync('alarm-actions', [
-      { identifier: 'stop', buttonTitle: '✅ Stop Alarm', options: { isDestructive: true, opensAppToForeground: true } },
+      { identifier: 'stop', buttonTitle: t('notification.stopButton'), options: { isDestructive: true, opensAppToForeground: true } },
+      { identifier: 'snooze', buttonTitle: t('notification.snoozeButton'), options: { opensAppToForeground: false } },
     ]);
+    // Lets Snooze run without bringing the app to the foreground
+    await Notifications.registerTaskAsync(NOTIFICATION_TASK_NAME);
   };
 
   const loadAlarms = async () => {
     try {
-      const json = await AsyncStorage.getItem(STORAGE_KEY);
-      if (json) setAlarms(JSON.parse(json));
-    } catch (e) {}
+      setAlarms(await AlarmRepository.load());
+    } catch (e) {
+      handleStorageError(e);
+    }
+    setTrips(await AlarmRepository.loadTrips());
+  };
+
+  // Writes through the repository and mirrors the stored list into state. Returns null if it failed.
+  const updateAlarms = async (mutate) => {
+    try {
+      const updated = await AlarmRepository.update(mutate);
+      setAlarms(updated);
+      return updated;
+    } catch (e) {
+      handleStorageError(e);
+      return null;
+    }
+  };
+
+  // Same for changes that touch trips: mutate(alarms, trips) returns { alarms, trips } from the stored lists.
+  // Resolves to the stored alarms, or null if it failed.
+  const updateAlarmsAndTrips = async (mutate) => {
+    try {
+      const result = await AlarmRepository.updateWithEvents(mutate);
+      setAlarms(result.alarms);
+      setTrips(result.trips);
+      return result.alarms;
+    } catch (e) {
+      handleStorageError(e);
+      return null;
+    }
+  };
+
+  // Damaged alarm data gets a way out instead of an empty list - asked once per session
+  const handleStorageError = (e) => {
+    console.log("Alarm storage error:", e);
+    if (!(e instanceof AlarmRepository.AlarmStorageError)) return Alert.alert(t('common.error'), t('storage.saveFailed'));
+    // invalid-write comes from a bug rather than stored data, so it's shown every time and names the refused field
+    if (e.code === 'invalid-write') {
+      return Alert.alert(t('storage.cantSave'), t('storage.invalidWrite', { name: e.alarmName ?? '', problem: t(e.problem) }));
+    }
+    if (hasShownStorageError.current) return;
+    hasShownStorageError.current = true;
+    if (e.code === 'newer-version') return Alert.alert(t('storage.cantLoad'), t('storage.newerVersion'));
+    Alert.alert(t('storage.damagedTitle'), t(e.code === 'corrupt' ? 'storage.corrupt' : 'storage.invalid'), [
+      { text: t('common.notNow'), style: "cancel" },
+      {
+        text: e.validAlarms.length > 0 ? t('storage.keepValid', { count: e.validAlarms.length }) : t('storage.reset'),
+        style: "destructive",
+        onPress: async () => {
+          try {
+            setAlarms(await AlarmRepository.recover(e));
+            hasShownStorageError.current = false;
+            await updateBackgroundService();
+          } catch (recoverError) {
+            console.log("Alarm recovery error:", recoverError);
+            Alert.alert(t('common.error'), t('storage.repairFailed'));
+          }
+        },
+      },
+    ]);
   };
 
   const loadBackgroundRunningPreference = async () => {
@@ -468,64 +1471,132 @@ export default function App() {
     }
   };
 
-  // --- REVERSE GEOCODING: Get location name from coordinates ---
-  const getLocationName = async (latitude, longitude) => {
+  const saveMonitoringEngine = async (engine) => {
+    try {
+      await AsyncStorage.setItem(MONITORING_ENGINE_KEY, engine);
+      setMonitoringEngine(engine);
+      await updateBackgroundService();
+    } catch (e) {
+      console.log("Error saving monitoring engine:", e);
+    }
+  };
+
+  // Keeps the parts in ADDRESS_PARTS order; at least one has to stay on. Pins dropped from now on use it.
+  const toggleAddressPart = async (part) => {
+    const format = addressFormat.includes(part) ? addressFormat.filter(p => p !== part) : [...addressFormat, part];
+    if (format.length === 0) return;
+    const ordered = ADDRESS_PARTS.map(p => p.value).filter(p => format.includes(p));
+    setAddressFormat(ordered);
+    try {
+      await saveAddressFormat(ordered);
+    } catch (e) {
+      console.log("Error saving address format:", e);
+    }
+  };
+
+  // Both apply on the next render; the service notification follows on its next update
+  const changeUnits = async (preference) => {
+    setUnitsPreference(preference);
+    try {
+      await saveUnits(preference);
+    } catch (e) {
+      console.log("Error saving units:", e);
+    }
+  };
+
+  const changeLanguage = async (preference) => {
+    setLanguagePreference(preference);
     try {
-      const reverseGeocode = await Location.reverseGeocodeAsync({
+      await saveLanguage(preference);
+      // The notification buttons and default channel were registered with the OS in the old language
+      await setupNotifications();
+    } catch (e) {
+      console.log("Error saving language:", e);
+    }
+  };
+
+  // Update the slider label while dragging, persist once the user lets go
+  const updateTriggerSetting = (key, value) => {
+    setTriggerSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  const saveTriggerSetting = async (key, value) => {
+    try {
+      const updated = { ...triggerSettings, [key]: value };
+      setTriggerSettings(updated);
+      await AsyncStorage.setItem(TRIGGER_SETTINGS_KEY, JSON.stringify(updated));
+    } catch (e) {
+      console.log("Error saving trigger settings:", e);
+    }
+  };
+
+  // --- FORWARD GEOCODING: Search for a destination ---
+  const searchDestination = async () => {
+    const query = searchQuery.trim();
+    if (!query) return;
+    setIsSearching(true);
+    try {
+      const candidates = (await Location.geocodeAsync(query)).slice(0, MAX_SEARCH_RESULTS);
+      // geocodeAsync only returns coordinates, so look each candidate up again for a readable label
+      const results = await Promise.all(candidates.map(async ({ latitude, longitude }) => ({
         latitude,
         longitude,
-      });
-      
-      if (reverseGeocode && reverseGeocode.length > 0) {
-        const address = reverseGeocode[0];
-        const parts = [];
-        
-        // Add place name (name, street, or subThoroughfare)
-        if (address.name) {
-          parts.push(address.name);
-        } else if (address.street) {
-          parts.push(address.street);
-        } else if (address.subThoroughfare) {
-          parts.push(address.subThoroughfare);
-        }
-        
-        // Add city
-        if (address.city) {
-          parts.push(address.city);
-        } else if (address.subAdministrativeArea) {
-          parts.push(address.subAdministrativeArea);
-        }
-        
-        // Add state
-        if (address.region) {
-          parts.push(address.region);
-        } else if (address.administrativeArea) {
-          parts.push(address.administrativeArea);
-        }
-        
-        // Add postal code (pin)
-        if (address.postalCode) {
-          parts.push(address.postalCode);
-        }
-        
-        // Format as "Place name, city, state, pin"
-        return parts.join(', ');
-      }
-      
-      return null;
+        name: await getLocationName(latitude, longitude) || query,
+      })));
+      setSearchResults(results);
     } catch (error) {
-      console.log("Reverse geocoding error:", error);
-      return null;
+      console.log("Geocoding error:", error);
+      setSearchResults([]);
+    } finally {
+      setIsSearching(false);
     }
   };
 
+  const clearSearch = () => {
+    setSearchQuery("");
+    setSearchResults(null);
+    setIsSearchFocused(false);
+    Keyboard.dismiss();
+  };
+
+  // Drop the pin on the chosen place, bring it into view and open the New Alarm panel
+  const selectSearchResult = async (place) => {
+    const coord = { latitude: place.latitude, longitude: place.longitude };
+    clearSearch();
+    setSelectedAlarmId(null);
+    setSelectedCoord(coord);
+    setSelectedLocationName(place.name);
+    mapRef.current?.animateToRegion({ ...coord, latitudeDelta: 0.02, longitudeDelta: 0.02 }, 500);
+    startCreating(null, place.name, coord);
+    setRecentSearches(await rememberSearch({ name: place.name, ...coord }));
+  };
+
   // --- UI ACTIONS ---
-  const startCreating = () => {
-    if (!selectedCoord) return Alert.alert("Tap Map", "Please tap a destination on the map first.");
+  // Pass a polygon (and its looked-up name) to create an area alarm instead of a circle around selectedCoord
+  const startCreating = (polygon = null, locationName = selectedLocationName, coord = selectedCoord) => {
+    if (!coord && !polygon) return Alert.alert(t('map.tapTitle'), t('map.tapDestination'));
     setEditingId(null);
-    // Use location name if available, otherwise fallback to default
-    setTempName(selectedLocationName || `Alarm #${alarms.length + 1}`);
+    // Use location name if available, otherwise fallback to default (renamed later if the lookup was offline)
+    const placeholder = t('alarm.placeholderName', { number: alarms.length + 1 });
+    setTempName(locationName || placeholder);
+    setTempAutoName(locationName ? null : placeholder);
+    setTempShape(polygon ? 'polygon' : 'circle');
+    setTempPolygon(polygon);
     setTempRadius(500);
+    setRadiusInput(null);
+    setTempTriggerType('enter');
+    setTempMode('radius');
+    setTempEtaMinutes(10);
+    setTempSchedule(null);
+    setTempStartDate("");
+    setTempEndDate("");
+    setTempRepeat(false);
+    setTempRearmDistance(DEFAULT_REARM_DISTANCE);
+    setTempRearmCooldown(DEFAULT_REARM_COOLDOWN_MINUTES);
+    setTempSound(DEFAULT_SOUND_PROFILE);
+    // New alarms go into the group being viewed
+    setTempGroupId(groupFilter);
+    setTempActions([]);
     setIsEditing(true);
   };
 
@@ -533,129 +1604,846 @@ export default function App() {
     setEditingId(alarm.id);
     setTempName(alarm.name);
     setTempRadius(alarm.radius);
+    setRadiusInput(null);
+    setTempTriggerType(getTriggerType(alarm));
+    setTempMode(alarm.mode || 'radius');
+    setTempEtaMinutes(alarm.etaMinutes || 10);
+    setTempSchedule(alarm.schedule || null);
+    setTempStartDate(alarm.startDate || "");
+    setTempEndDate(alarm.endDate || "");
+    setTempRepeat(!!alarm.repeat);
+    setTempRearmDistance(alarm.rearmDistance || DEFAULT_REARM_DISTANCE);
+    setTempRearmCooldown(alarm.rearmCooldownMinutes || DEFAULT_REARM_COOLDOWN_MINUTES);
+    setTempSound(getSoundProfile(alarm));
+    setTempGroupId(alarm.groupId || null);
+    setTempActions(alarm.actions || []);
+    setActionStatus(await loadActionStatus());
+    setTempShape(alarm.shape || 'circle');
+    setTempPolygon(alarm.shape === 'polygon' ? alarm.polygon : null);
     const coord = { latitude: alarm.latitude, longitude: alarm.longitude };
     setSelectedCoord(coord);
     setSelectedAlarmId(null); // Clear selection when editing
+    setTempAutoName(alarm.autoName ? alarm.name : null);
     // Get location name for the alarm location
     const locationName = await getLocationName(coord.latitude, coord.longitude);
     setSelectedLocationName(locationName);
+    // Still on its placeholder and we're back online - offer the real name
+    if (alarm.autoName && locationName) {
+      setTempName(locationName);
+      setTempAutoName(null);
+    }
     setIsEditing(true);
   };
 
+  // Dragging the orange pin moves the alarm. The name follows the new address unless the user typed their own.
+  const moveEditedPin = async (coord) => {
+    setSelectedCoord(coord);
+    const nameWasSuggested = tempName === selectedLocationName || tempName === tempAutoName;
+    const locationName = await getLocationName(coord.latitude, coord.longitude);
+    setSelectedLocationName(locationName);
+    if (nameWasSuggested && locationName) {
+      setTempName(locationName);
+      setTempAutoName(null);
+    }
+  };
+
+  // The handle can be dropped anywhere - its distance from the centre becomes the radius, in whole metres or feet
+  const resizeFromHandle = (coord) => {
+    const distance = getDistance(selectedCoord.latitude, selectedCoord.longitude, coord.latitude, coord.longitude);
+    setTempRadius(clampRadius(fromInputUnits(toInputUnits(distance))));
+    setRadiusInput(null);
+  };
+
+  // The typed radius in metres, or null if the box isn't being edited or doesn't hold a number
+  const getTypedRadius = () => {
+    const typed = parseFloat(radiusInput);
+    return radiusInput !== null && typed > 0 ? clampRadius(fromInputUnits(typed)) : null;
+  };
+
+  // Applied when the box loses focus; anything unusable puts the current radius back
+  const commitRadiusInput = () => {
+    const typed = getTypedRadius();
+    if (typed !== null) setTempRadius(typed);
+    setRadiusInput(null);
+  };
+
   const saveAlarm = async () => {
     Keyboard.dismiss();
     // Reset keyboard state immediately
     setKeyboardHeight(0);
     setIsKeyboardVisible(false);
     
-    let newAlarmsList;
-    if (editingId) {
-      newAlarmsList = alarms.map(a => a.id === editingId ? { ...a, name: tempName, radius: tempRadius, active: true, triggered: false } : a);
-    } else {
+    const scheduleError = validateSchedule();
+    if (scheduleError) return Alert.alert(t('schedule.invalidTitle'), scheduleError);
+    if (tempSound.tone === 'custom' && !tempSound.uri) return Alert.alert(t('sound.noFileTitle'), t('sound.noFileBody'));
+    if (tempActions.some(a => a.type === 'webhook' && !isValidWebhookUrl(a.url))) {
+      return Alert.alert(t('actions.invalidWebhookTitle'), t('actions.invalidWebhookBody'));
+    }
+    stopPreview();
+
+    const fields = {
+      name: tempName,
+      // Save may be tapped while the radius box still has focus
+      radius: getTypedRadius() ?? tempRadius,
+      shape: tempShape,
+      polygon: tempShape === 'polygon' ? tempPolygon : null,
+      // Dragging vertices moves the area, so keep the marker at its centre; a circle goes wherever its pin was dragged
+      ...(tempShape === 'polygon'
+        ? getPolygonCentroid(tempPolygon)
+        : { latitude: selectedCoord.latitude, longitude: selectedCoord.longitude }),
+      triggerType: tempTriggerType,
+      mode: tempMode,
+      etaMinutes: tempEtaMinutes,
+      schedule: tempSchedule,
+      startDate: tempStartDate.trim() || null,
+      endDate: tempEndDate.trim() || null,
+      repeat: tempRepeat,
+      rearmDistance: tempRearmDistance,
+      rearmCooldownMinutes: tempRearmCooldown,
+      sound: tempSound,
+      groupId: tempGroupId,
+      actions: tempActions.map(a => a.type === 'webhook' ? { ...a, url: a.url.trim() } : a),
+      autoName: tempAutoName !== null && tempName === tempAutoName,
+      active: true,
+      triggered: false,
+      wasInside: null,
+      pendingCrossing: null,
+      rearm: null,
+      snoozedUntil: null
+    };
+
+    const saved = await updateAlarms(list => {
+      if (editingId) {
+        // Trip stops stay armed/disarmed by their trip
+        return list.map(a => a.id === editingId ? { ...a, ...fields, ...(a.tripId ? { active: a.active } : {}) } : a);
+      }
       const newAlarm = {
         id: Date.now().toString(),
-        name: tempName,
-        latitude: selectedCoord.latitude,
-        longitude: selectedCoord.longitude,
-        radius: tempRadius,
-        active: true,
-        triggered: false
+        ...fields
       };
-      newAlarmsList = [...alarms, newAlarm];
+      return [...list, newAlarm];
+    });
+    if (!saved) return;
+    // Create the notification channel now so a background trigger doesn't have to
+    ensureAlarmChannel(tempSound).catch(() => {});
+    // Removed actions shouldn't keep retrying
+    pruneActionStatus(saved).catch(() => {});
+    setIsEditing(false);
+    setTempPolygon(null);
+    setSelectedCoord(null);
+    setSelectedLocationName(null);
+
+    // Update background service when alarms change
+    await updateBackgroundService();
+
+    if (location) {
+      const changed = await checkAlarms(location.coords, location.timestamp);
+      if (changed) loadAlarms();
     }
-    
-    setAlarms(newAlarmsList);
-    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(newAlarmsList));
+  };
+
+  // Returns an error message for the schedule fields in the edit panel, or null when they're valid
+  const validateSchedule = () => {
+    if (tempSchedule) {
+      if (tempSchedule.days.length === 0) return t('schedule.noDays');
+      const badRange = tempSchedule.ranges.find(r => parseTime(r.start) === null || parseTime(r.end) === null);
+      if (badRange) return t('schedule.badTime');
+    }
+    if (tempStartDate.trim() && !parseDate(tempStartDate)) return t('schedule.badStartDate');
+    if (tempEndDate.trim() && !parseDate(tempEndDate)) return t('schedule.badEndDate');
+    if (tempStartDate.trim() && tempEndDate.trim() && parseDate(tempEndDate) < parseDate(tempStartDate)) {
+      return t('schedule.endBeforeStart');
+    }
+    return null;
+  };
+
+  const toggleScheduleDay = (day) => {
+    setTempSchedule(prev => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day],
+    }));
+  };
+
+  const updateScheduleRange = (index, key, value) => {
+    setTempSchedule(prev => ({
+      ...prev,
+      ranges: prev.ranges.map((r, i) => i === index ? { ...r, [key]: value } : r),
+    }));
+  };
+
+  const addScheduleRange = () => {
+    setTempSchedule(prev => ({ ...prev, ranges: [...prev.ranges, { start: '17:00', end: '19:00' }] }));
+  };
+
+  const removeScheduleRange = (index) => {
+    setTempSchedule(prev => ({ ...prev, ranges: prev.ranges.filter((_, i) => i !== index) }));
+  };
+
+  // --- ARRIVAL ACTIONS ---
+  const addTempAction = (type) => {
+    const action = type === 'webhook' ? { url: "" } : { template: getDefaultMessageTemplate() };
+    setTempActions(prev => [...prev, { id: `${Date.now()}`, type, ...action }]);
+  };
+
+  const updateTempAction = (id, key, value) => {
+    setTempActions(prev => prev.map(a => a.id === id ? { ...a, [key]: value } : a));
+  };
+
+  const removeTempAction = (id) => {
+    setTempActions(prev => prev.filter(a => a.id !== id));
+  };
+
+  const formatActionStatus = (status) => {
+    if (!status) return t('actions.notRun');
+    const label = ACTION_STATUS_LABELS[status.state];
+    let text = `${label ? t(label) : status.state} • ${formatTime(new Date(status.at))}`;
+    if (status.state === 'retrying') text += ` ${t('actions.attempt', { attempt: status.attempts })}`;
+    // Errors are translation keys, or the server's own text such as "HTTP 503"
+    if (status.error) text += ` • ${t(status.error)}`;
+    return text;
+  };
+
+  // Messages queued by a trigger go out through the share sheet once the app is in front, one at a time
+  const shareWaitingMessage = async () => {
+    if (isSharingMessage.current || AppState.currentState !== 'active') return;
+    const job = await takeWaitingMessage();
+    if (!job) return;
+    isSharingMessage.current = true;
+    try {
+      const result = await Share.share({ message: job.body });
+      await finishMessage(job, result.action !== Share.dismissedAction);
+    } catch (e) {
+      console.log("Error sharing arrival message:", e);
+    } finally {
+      isSharingMessage.current = false;
+    }
+  };
+
+  // --- POLYGON DRAWING ---
+  const startDrawing = () => {
+    setSelectedCoord(null);
+    setSelectedLocationName(null);
+    setSelectedAlarmId(null);
+    setTempPolygon([]);
+    setIsDrawing(true);
+  };
+
+  const undoVertex = () => {
+    setTempPolygon(prev => prev.slice(0, -1));
+  };
+
+  const moveVertex = (index, coordinate) => {
+    setTempPolygon(prev => prev.map((v, i) => i === index ? coordinate : v));
+  };
+
+  const cancelDrawing = () => {
+    setIsDrawing(false);
+    setTempPolygon(null);
+  };
+
+  // Close the shape and open the New Alarm panel for it
+  const finishDrawing = async () => {
+    if (!tempPolygon || tempPolygon.length < 3) return Alert.alert(t('draw.title'), t('draw.tooFewPoints'));
+    const polygon = tempPolygon;
+    const centroid = getPolygonCentroid(polygon);
+    setIsDrawing(false);
+    setSelectedCoord(centroid);
+    const locationName = await getLocationName(centroid.latitude, centroid.longitude);
+    setSelectedLocationName(locationName);
+    startCreating(polygon, locationName);
+  };
+
+  // --- SOUND PICKER & PREVIEW ---
+  const updateTempSound = (key, value) => {
+    setTempSound(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Copy the picked file into the app's documents so it survives cache clean-ups
+  const pickSoundFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ type: 'audio/*', copyToCacheDirectory: true });
+      if (result.canceled) return;
+      const asset = result.assets[0];
+      const soundsDir = new Directory(Paths.document, 'alarm-sounds');
+      if (!soundsDir.exists) soundsDir.create();
+      const target = new File(soundsDir, `${Date.now()}-${asset.name}`);
+      new File(asset.uri).copy(target);
+      setTempSound(prev => ({ ...prev, tone: 'custom', uri: target.uri, fileName: asset.name }));
+    } catch (e) {
+      console.log("Error picking sound file:", e);
+      Alert.alert(t('common.error'), t('sound.pickFailed'));
+    }
+  };
+
+  const stopPreview = async () => {
+    previewTimers.current.forEach(timer => { clearTimeout(timer); clearInterval(timer); });
+    previewTimers.current = [];
+    Vibration.cancel();
+    setIsPreviewing(false);
+    const sound = previewSound.current;
+    previewSound.current = null;
+    if (sound) {
+      try {
+        await sound.stopAsync();
+        await sound.unloadAsync();
+      } catch (e) { }
+    }
+  };
+
+  // Plays the edited profile for a few seconds (long enough to hear part of the fade-in)
+  const startPreview = async () => {
+    await stopPreview();
+    setIsPreviewing(true);
+    const pattern = getVibrationPattern(tempSound);
+    if (pattern) Vibration.vibrate(pattern, true);
+    try {
+      if (tempSound.tone !== 'none') {
+        const sound = new Audio.Sound();
+        previewSound.current = sound;
+        const fade = await startToneAsync(sound, tempSound, true);
+        if (fade) previewTimers.current.push(fade);
+      }
+    } catch (e) {
+      console.log("Preview error:", e);
+    }
+    previewTimers.current.push(setTimeout(stopPreview, 6000));
+  };
+
+  const cancelEdit = () => {
+    stopPreview();
+    setTempPolygon(null);
+    Keyboard.dismiss();
+    // Reset keyboard state immediately
+    setKeyboardHeight(0);
+    setIsKeyboardVisible(false);
     setIsEditing(false);
     setSelectedCoord(null);
     setSelectedLocationName(null);
+    setSelectedAlarmId(null);
+  };
+
+  const deleteAlarm = async (id) => {
+    const updated = await updateAlarmsAndTrips((list, tripList) => {
+      let remaining = list.filter(a => a.id !== id);
+      if (!list.find(a => a.id === id)?.tripId) return { alarms: remaining, trips: tripList };
+
+      // Take the stop out of its trip, arming the following stop if it was the one we were heading to
+      const updatedTrips = tripList.map(trip => {
+        const index = trip.stops.indexOf(id);
+        if (index === -1) return trip;
+        const stops = trip.stops.filter(stopId => stopId !== id);
+        if (trip.status !== 'running') return { ...trip, stops, nextIndex: Math.min(trip.nextIndex, stops.length) };
+        if (index > trip.nextIndex) return { ...trip, stops };
+        if (index < trip.nextIndex) return { ...trip, stops, nextIndex: trip.nextIndex - 1 };
+        if (trip.nextIndex >= stops.length) return { ...trip, stops, status: 'done' };
+        remaining = remaining.map(a => a.id === stops[trip.nextIndex] ? armStop(a) : a);
+        return { ...trip, stops };
+      });
+      return { alarms: remaining, trips: updatedTrips };
+    });
+    if (!updated) return;
+    pruneActionStatus(updated).catch(() => {});
 
     // Update background service when alarms change
     await updateBackgroundService();
+  };
+
+  const toggleAlarm = async (id) => {
+    // Check if the alarm being toggled is currently ringing
+    const alarmToToggle = alarms.find(a => a.id === id);
+    const wasRinging = alarmToToggle && alarmToToggle.triggered && alarmToToggle.active;
+    
+    const updated = await updateAlarms(list => list.map(a => 
+      a.id === id ? { ...a, active: !a.active, triggered: false, snoozedUntil: null, wasInside: null, pendingCrossing: null, rearm: null } : a 
+    ));
+    if (!updated) return;
+    
+    // Update background service when alarm state changes
+    await updateBackgroundService();
+    
+    // If the alarm was ringing and is now being turned off
+    if (wasRinging && !updated.find(a => a.id === id)?.active) {
+      // Dismiss the notification for this specific alarm (and any pending snooze)
+      await Notifications.cancelScheduledNotificationAsync(`snooze-${id}`);
+      await Notifications.dismissNotificationAsync(`alarm-${id}`);
+      
+      // Check if there are any other alarms still ringing
+      const otherRingingAlarms = updated.filter(isRinging);
+      
+      // If no other alarms are ringing, stop the sound
+      if (otherRingingAlarms.length === 0) {
+        stopAlarmSound();
+      }
+    }
+    
+    if (location) {
+        const changed = await checkAlarms(location.coords, location.timestamp);
+        if (changed) loadAlarms();
+    }
+  };
+
+  // --- TRIPS ---
+  // mutateTrips(trips) and mutateAlarms(alarms) get the stored lists and are written together;
+  // resolves to the stored alarms, or null on failure
+  const saveTripsAndAlarms = async (mutateTrips, mutateAlarms) => {
+    const updatedAlarms = await updateAlarmsAndTrips((list, tripList) => ({ alarms: mutateAlarms(list), trips: mutateTrips(tripList) }));
+    if (!updatedAlarms) return null;
+    // Arming/disarming stops changes what needs tracking
+    await updateBackgroundService();
+    return updatedAlarms;
+  };
+
+  // Arms the first stop and disarms the rest. reverse=true flips the order for the return leg.
+  const startTrip = async (tripId, reverse = false) => {
+    const trip = trips.find(tr => tr.id === tripId);
+    if (!trip || trip.stops.length === 0) return;
+    const stops = reverse ? [...trip.stops].reverse() : trip.stops;
+    const startTrips = list => list.map(tr => tr.id === tripId ? { ...tr, stops, nextIndex: 0, status: 'running' } : tr);
+    const saved = await saveTripsAndAlarms(startTrips, list => list.map(a => {
+      if (a.id === stops[0]) return armStop(a);
+      if (stops.includes(a.id)) return { ...a, active: false, triggered: false, snoozedUntil: null };
+      return a;
+    }));
+    if (!saved) return;
+
+    if (location) {
+      const changed = await checkAlarms(location.coords, location.timestamp);
+      if (changed) loadAlarms();
+    }
+  };
+
+  const endTrip = async (tripId) => {
+    const trip = trips.find(tr => tr.id === tripId);
+    if (!trip) return;
+    const endTrips = list => list.map(tr => tr.id === tripId ? { ...tr, status: 'idle', nextIndex: 0 } : tr);
+    const updatedAlarms = await saveTripsAndAlarms(endTrips, list =>
+      list.map(a => trip.stops.includes(a.id) ? { ...a, active: false, triggered: false, snoozedUntil: null } : a)
+    );
+    if (!updatedAlarms) return;
+    for (const stopId of trip.stops) {
+      await Notifications.dismissNotificationAsync(`alarm-${stopId}`);
+    }
+    if (!updatedAlarms.some(isRinging)) stopAlarmSound();
+  };
+
+  const deleteTrip = async (tripId) => {
+    const trip = trips.find(tr => tr.id === tripId);
+    if (!trip) return;
+    // The stop alarms stay, they just stop belonging to a trip
+    await saveTripsAndAlarms(list => list.filter(tr => tr.id !== tripId), list => list.map(a => a.tripId === tripId ? { ...a, tripId: null } : a));
+  };
+
+  const startTripDraft = (trip = null) => {
+    setTripDraft(trip ? { id: trip.id, name: trip.name, stops: trip.stops } : { id: null, name: t('trip.defaultName', { number: trips.length + 1 }), stops: [] });
+  };
+
+  // Tap order = stop order
+  const toggleDraftStop = (alarmId) => {
+    setTripDraft(prev => ({
+      ...prev,
+      stops: prev.stops.includes(alarmId) ? prev.stops.filter(id => id !== alarmId) : [...prev.stops, alarmId],
+    }));
+  };
+
+  const saveTripDraft = async () => {
+    if (tripDraft.stops.length < 2) return Alert.alert(t('trip.title'), t('trip.tooFewStops'));
+    const tripId = tripDraft.id || Date.now().toString();
+    const trip = { id: tripId, name: tripDraft.name.trim() || t('trip.defaultName', { number: trips.length + 1 }), stops: tripDraft.stops, nextIndex: 0, status: 'idle' };
+    const putTrip = list => list.some(tr => tr.id === tripId) ? list.map(tr => tr.id === tripId ? trip : tr) : [...list, trip];
+    // Stops of an idle trip wait switched off until the trip starts
+    const saved = await saveTripsAndAlarms(putTrip, list => list.map(a => {
+      if (trip.stops.includes(a.id)) return { ...a, tripId, active: false, triggered: false, snoozedUntil: null };
+      if (a.tripId === tripId) return { ...a, tripId: null };
+      return a;
+    }));
+    if (saved) setTripDraft(null);
+  };
+
+  const getTripProgress = (trip) => {
+    if (trip.status === 'done') return t('trip.finished');
+    if (trip.status !== 'running') return t('trip.stopCount', { count: trip.stops.length });
+    const nextStop = alarms.find(a => a.id === trip.stops[trip.nextIndex]);
+    let text = t('trip.progress', { number: trip.nextIndex + 1, total: trip.stops.length, name: nextStop?.name || "?" });
+    if (nextStop && location) text += ` • ${t('common.away', { distance: formatDistance(getDistanceToBoundary(location.coords, nextStop)) })}`;
+    return text;
+  };
+
+  const renderTrip = ({ item }) => (
+    <View style={[styles.card, item.status !== 'running' && styles.cardInactive]}>
+      <View style={{flex: 1}}>
+        <Text style={styles.cardTitle}>🧭 {item.name}</Text>
+        <Text style={styles.cardSub}>{item.stops.map(id => alarms.find(a => a.id === id)?.name || "?").join(" → ")}</Text>
+        <View style={styles.liveContainer}><Text style={styles.liveText}>{getTripProgress(item)}</Text></View>
+        <View style={styles.ringingActions}>
+          {item.status === 'running' ? (
+            <TouchableOpacity onPress={() => endTrip(item.id)} style={[styles.ringingBtn, {backgroundColor:'#FF3B30'}]}><Text style={styles.ringingBtnText}>{t('trip.end')}</Text></TouchableOpacity>
+          ) : (
+            <>
+              <TouchableOpacity onPress={() => startTrip(item.id)} style={[styles.ringingBtn, {backgroundColor:'#34C759'}]}><Text style={styles.ringingBtnText}>{t('trip.start')}</Text></TouchableOpacity>
+              <TouchableOpacity onPress={() => startTrip(item.id, true)} style={[styles.ringingBtn, {backgroundColor:'#007AFF'}]}><Text style={styles.ringingBtnText}>{t('trip.returnTrip')}</Text></TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+      <View style={styles.cardActions}>
+        {item.status !== 'running' && (
+          <TouchableOpacity onPress={() => startTripDraft(item)} style={styles.iconBtn}><Text style={{fontSize:18}}>✏️</Text></TouchableOpacity>
+        )}
+        <TouchableOpacity onPress={() => deleteTrip(item.id)} style={styles.iconBtn}><Text style={{fontSize:18}}>🗑️</Text></TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  // --- GROUPS ---
+  const startGroupDraft = (group = null) => {
+    setGroupDraft(group ? { ...group } : { id: null, name: "", color: GROUP_COLORS[groups.length % GROUP_COLORS.length] });
+  };
+
+  const saveGroupDraft = async () => {
+    const name = groupDraft.name.trim();
+    if (!name) return Alert.alert(t('group.title'), t('group.noName'));
+    const group = { ...groupDraft, id: groupDraft.id || Date.now().toString(), name };
+    const updatedGroups = groupDraft.id ? groups.map(g => g.id === group.id ? group : g) : [...groups, group];
+    try {
+      await saveGroups(updatedGroups);
+    } catch (e) {
+      console.log("Error saving groups:", e);
+      return Alert.alert(t('common.error'), t('group.saveFailed'));
+    }
+    setGroups(updatedGroups);
+    setGroupDraft(null);
+  };
+
+  // The alarms stay, they just stop belonging to a group
+  const deleteGroup = (group) => {
+    Alert.alert(t('group.deleteTitle'), t('group.deleteBody', { name: group.name }), [
+      { text: t('common.cancel'), style: "cancel" },
+      { text: t('common.delete'), style: "destructive", onPress: async () => {
+        // Ungroup the alarms first so a failed write never leaves them pointing at a deleted group
+        const updated = await updateAlarms(list => list.some(a => a.groupId === group.id)
+          ? list.map(a => a.groupId === group.id ? { ...a, groupId: null } : a)
+          : list);
+        if (!updated) return;
+        const updatedGroups = groups.filter(g => g.id !== group.id);
+        try {
+          await saveGroups(updatedGroups);
+        } catch (e) {
+          console.log("Error saving groups:", e);
+          return Alert.alert(t('common.error'), t('group.deleteFailed'));
+        }
+        setGroups(updatedGroups);
+        setGroupDraft(null);
+        if (groupFilter === group.id) setGroupFilter(null);
+      } },
+    ]);
+  };
+
+  // One write and one background-service update for the whole group. Trip stops are left to their trip.
+  const setGroupActive = async (groupId, active) => {
+    const members = alarms.filter(a => a.groupId === groupId && !a.tripId && a.active !== active);
+    if (members.length === 0) return;
+    const memberIds = members.map(a => a.id);
+    const updated = await updateAlarms(list => list.map(a =>
+      memberIds.includes(a.id) ? { ...a, active, triggered: false, snoozedUntil: null, wasInside: null, pendingCrossing: null, rearm: null } : a
+    ));
+    if (!updated) return;
+
+    await updateBackgroundService();
+
+    const silenced = members.filter(a => a.triggered);
+    if (!active && silenced.length > 0) {
+      for (const alarm of silenced) {
+        await Notifications.cancelScheduledNotificationAsync(`snooze-${alarm.id}`);
+        await Notifications.dismissNotificationAsync(`alarm-${alarm.id}`);
+      }
+      if (updated.filter(isRinging).length === 0) stopAlarmSound();
+    }
+
+    if (location) {
+      const changed = await checkAlarms(location.coords, location.timestamp);
+      if (changed) loadAlarms();
+    }
+  };
+
+  // --- SAVED PLACES ---
+  // New places start at the dropped pin; editing keeps the place where it is unless "Move to pin" is tapped
+  const startPlaceDraft = (place = null) => {
+    if (place) return setPlaceDraft({ ...place });
+    if (!selectedCoord) return Alert.alert(t('map.tapTitle'), t('place.tapMap'));
+    setPlaceDraft({ id: null, name: selectedLocationName || t('place.defaultName', { number: places.length + 1 }), ...selectedCoord, radius: 500 });
+  };
+
+  const savePlaceDraft = async () => {
+    const place = { ...placeDraft, id: placeDraft.id || Date.now().toString(), name: placeDraft.name.trim() || t('place.defaultName', { number: places.length + 1 }) };
+    const existing = places.find(p => p.id === place.id);
+    const updatedPlaces = existing ? places.map(p => p.id === place.id ? place : p) : [...places, place];
+    try {
+      await savePlaces(updatedPlaces);
+    } catch (e) {
+      console.log("Error saving places:", e);
+      return Alert.alert(t('common.error'), t('place.saveFailed'));
+    }
+    setPlaces(updatedPlaces);
+    setPlaceDraft(null);
+    setSelectedCoord(null);
+
+    const linked = existing ? alarms.filter(a => a.placeId === place.id) : [];
+    const changed = existing && (existing.name !== place.name || existing.radius !== place.radius ||
+      existing.latitude !== place.latitude || existing.longitude !== place.longitude);
+    if (linked.length === 0 || !changed) return;
+    Alert.alert(
+      t('place.updateAlarmsTitle'),
+      t('place.updateAlarmsBody', { count: linked.length, name: place.name }),
+      [
+        { text: t('place.keepAsIs'), style: "cancel" },
+        { text: t('place.update'), onPress: () => updateAlarmsFromPlace(existing, place) },
+      ]
+    );
+  };
+
+  // Name and radius follow the place; a moved place also resets the inside/outside state
+  const updateAlarmsFromPlace = async (before, place) => {
+    const moved = before.latitude !== place.latitude || before.longitude !== place.longitude;
+    const updated = await updateAlarms(list => list.map(a => {
+      if (a.placeId !== place.id) return a;
+      const fields = { name: a.name === before.name ? place.name : a.name, radius: place.radius };
+      if (!moved || a.shape === 'polygon') return { ...a, ...fields };
+      return { ...a, ...fields, latitude: place.latitude, longitude: place.longitude, wasInside: null, pendingCrossing: null, rearm: null };
+    }));
+    if (updated) await updateBackgroundService();
+  };
+
+  const deletePlace = (place) => {
+    Alert.alert(t('place.deleteTitle'), t('place.deleteBody', { name: place.name }), [
+      { text: t('common.cancel'), style: "cancel" },
+      { text: t('common.delete'), style: "destructive", onPress: async () => {
+        // Unlink the alarms first so a failed write never leaves them pointing at a deleted place
+        const updated = await updateAlarms(list => list.some(a => a.placeId === place.id)
+          ? list.map(a => a.placeId === place.id ? { ...a, placeId: null } : a)
+          : list);
+        if (!updated) return;
+        const updatedPlaces = places.filter(p => p.id !== place.id);
+        try {
+          await savePlaces(updatedPlaces);
+        } catch (e) {
+          console.log("Error saving places:", e);
+          return Alert.alert(t('common.error'), t('place.deleteFailed'));
+        }
+        setPlaces(updatedPlaces);
+      } },
+    ]);
+  };
+
+  // One tap: an armed "arrive" alarm with the place's name and radius
+  const createAlarmFromPlace = async (place) => {
+    const newAlarm = {
+      ...IMPORTED_ALARM_DEFAULTS,
+      id: Date.now().toString(),
+      name: place.name,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      radius: place.radius,
+      shape: 'circle',
+      polygon: null,
+      triggerType: 'enter',
+      active: true,
+      placeId: place.id,
+    };
+    const saved = await updateAlarms(list => [...list, newAlarm]);
+    if (!saved) return;
+    setShowPlaces(false);
+    await updateBackgroundService();
+    if (location) {
+      const changed = await checkAlarms(location.coords, location.timestamp);
+      if (changed) loadAlarms();
+    }
+  };
+
+  const togglePlacesOnMap = async (value) => {
+    setPlacesOnMap(value);
+    try {
+      await AsyncStorage.setItem(SHOW_PLACES_KEY, value ? 'true' : 'false');
+    } catch (e) {
+      console.log("Error saving places setting:", e);
+      setPlacesOnMap(!value);
+      Alert.alert(t('common.error'), t('place.showFailed'));
+    }
+  };
+
+  const renderPlace = ({ item }) => {
+    const alarmCount = alarms.filter(a => a.placeId === item.id).length;
+    return (
+      <View style={styles.card}>
+        <View style={{flex: 1}}>
+          <Text style={styles.cardTitle}>⭐ {item.name}</Text>
+          <Text style={styles.cardSub}>
+            {t('place.radius', { distance: formatDistance(item.radius) })}{alarmCount > 0 ? ` • ${t('place.alarmCount', { count: alarmCount })}` : ""}
+            {location ? ` • ${t('common.away', { distance: formatDistance(getDistance(location.coords.latitude, location.coords.longitude, item.latitude, item.longitude)) })}` : ""}
+          </Text>
+          <View style={styles.ringingActions}>
+            <TouchableOpacity onPress={() => createAlarmFromPlace(item)} style={[styles.ringingBtn, {backgroundColor:'#34C759'}]}><Text style={styles.ringingBtnText}>{t('place.setAlarm')}</Text></TouchableOpacity>
+          </View>
+        </View>
+        <View style={styles.cardActions}>
+          <TouchableOpacity onPress={() => startPlaceDraft(item)} style={styles.iconBtn}><Text style={{fontSize:18}}>✏️</Text></TouchableOpacity>
+          <TouchableOpacity onPress={() => deletePlace(item)} style={styles.iconBtn}><Text style={{fontSize:18}}>🗑️</Text></TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  // --- IMPORT / EXPORT ---
+  const openExport = () => {
+    setShowSettings(false);
+    setExportSelection(alarms.map(a => a.id));
+  };
+
+  const toggleExportAlarm = (id) => {
+    setExportSelection(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  // Write the file to the cache and hand it to the system share sheet
+  const shareExport = async () => {
+    const selected = alarms.filter(a => exportSelection.includes(a.id));
+    if (selected.length === 0) return Alert.alert(t('export.title'), t('export.noneSelected'));
+    try {
+      const format = EXPORT_FORMATS.find(f => f.value === exportFormat);
+      const file = new File(Paths.cache, `gps-alarms.${format.extension}`);
+      if (file.exists) file.delete();
+      file.create();
+      file.write(exportAlarms(selected, format.value, { documentName: t('export.documentName') }));
+      await Sharing.shareAsync(file.uri, { mimeType: format.mimeType, UTI: format.uti, dialogTitle: t('export.dialogTitle') });
+      setExportSelection(null);
+    } catch (e) {
+      console.log("Export error:", e);
+      Alert.alert(t('common.error'), t('export.failed'));
+    }
+  };
+
+  const openImport = async () => {
+    setShowSettings(false);
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+      if (result.canceled) return;
+      const asset = result.assets[0];
+      const drafts = importAlarms(await new File(asset.uri).text(), asset.name, { defaultName: t('import.defaultName') });
+      if (drafts.length === 0) return Alert.alert(t('import.title'), t('import.empty'));
 
-    if (location) {
-      const changed = await checkAlarms(location.coords);
-      if (changed) loadAlarms();
+      // Flag drafts matching an existing alarm or an earlier entry in the same file
+      const seen = [...alarms];
+      const preview = drafts.map(draft => {
+        const duplicate = seen.some(a => isDuplicateAlarm(draft, a));
+        seen.push(draft);
+        return { draft, duplicate, selected: !duplicate };
+      });
+      setImportPreview(preview);
+    } catch (e) {
+      console.log("Import error:", e);
+      // Parser errors (bad JSON or XML) carry no key and aren't worth showing as they are
+      Alert.alert(t('import.failedTitle'), t(e.key || 'import.unreadable'));
     }
   };
 
-  const cancelEdit = () => {
-    Keyboard.dismiss();
-    // Reset keyboard state immediately
-    setKeyboardHeight(0);
-    setIsKeyboardVisible(false);
-    setIsEditing(false);
-    setSelectedCoord(null);
-    setSelectedLocationName(null);
-    setSelectedAlarmId(null);
+  const toggleImportDraft = (index) => {
+    setImportPreview(prev => prev.map((item, i) => i === index ? { ...item, selected: !item.selected } : item));
   };
 
-  const deleteAlarm = async (id) => {
-    const updated = alarms.filter(a => a.id !== id);
-    setAlarms(updated);
-    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
-    // Update background service when alarms change
-    await updateBackgroundService();
+  const confirmImport = async () => {
+    const idBase = Date.now();
+    const imported = importPreview
+      .filter(item => item.selected)
+      .map((item, i) => ({ ...IMPORTED_ALARM_DEFAULTS, ...item.draft, id: `${idBase}-${i}` }));
+    const updated = await updateAlarms(list => [...list, ...imported]);
+    if (!updated) return;
+    setImportPreview(null);
+    Alert.alert(t('import.title'), t('import.done', { count: imported.length }));
   };
 
-  const toggleAlarm = async (id) => {
-    // Check if the alarm being toggled is currently ringing
-    const alarmToToggle = alarms.find(a => a.id === id);
-    const wasRinging = alarmToToggle && alarmToToggle.triggered && alarmToToggle.active;
-    
-    const updated = alarms.map(a => 
-      a.id === id ? { ...a, active: !a.active, triggered: false } : a 
-    );
-    setAlarms(updated);
-    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
-    
-    // Update background service when alarm state changes
-    await updateBackgroundService();
-    
-    // If the alarm was ringing and is now being turned off
-    if (wasRinging && !updated.find(a => a.id === id)?.active) {
-      // Dismiss the notification for this specific alarm
-      await Notifications.dismissNotificationAsync(`alarm-${id}`);
-      
-      // Check if there are any other alarms still ringing
-      const otherRingingAlarms = updated.filter(a => a.active && a.triggered);
-      
-      // If no other alarms are ringing, stop the sound
-      if (otherRingingAlarms.length === 0) {
-        stopAlarmSound();
-      }
+  // --- TRACK REPLAY: Drive the alarms from a recorded track instead of real GPS ---
+  const openTrackReplay = async () => {
+    setShowSettings(false);
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+      if (result.canceled) return;
+      const asset = result.assets[0];
+      startTrackReplay(parseTrack(await new File(asset.uri).text(), asset.name));
+    } catch (e) {
+      console.log("Track replay error:", e);
+      Alert.alert(t('replay.failedTitle'), t(e.key || 'replay.unreadable'));
     }
-    
-    if (location) {
-        const changed = await checkAlarms(location.coords);
+  };
+
+  const startTrackReplay = async (fixes) => {
+    if (trackPlayer.current) trackPlayer.current.stop();
+    // Real fixes recorded so far would skew the simulated speed and heading
+    await AsyncStorage.removeItem(RECENT_FIXES_KEY);
+    await AsyncStorage.setItem(SIMULATION_KEY, 'true');
+    setSimTrack(fixes);
+    setSimIndex(0);
+    mapRef.current?.animateToRegion({ latitude: fixes[0].latitude, longitude: fixes[0].longitude, latitudeDelta: 0.05, longitudeDelta: 0.05 });
+    trackPlayer.current = createTrackPlayer(fixes, {
+      speed: simSpeed,
+      onFix: async (fix, index) => {
+        setSimIndex(index);
+        setSimPosition(fix);
+        const changed = await checkAlarms(fix, fix.timestamp, 'simulation');
         if (changed) loadAlarms();
-    }
+      },
+      onDone: () => {
+        stopTrackReplay();
+        Alert.alert(t('replay.title'), t('replay.finished'));
+      },
+    });
+  };
+
+  const changeSimSpeed = (speed) => {
+    setSimSpeed(speed);
+    if (trackPlayer.current) trackPlayer.current.setSpeed(speed);
+  };
+
+  const stopTrackReplay = async () => {
+    if (trackPlayer.current) trackPlayer.current.stop();
+    trackPlayer.current = null;
+    setSimTrack(null);
+    setSimPosition(null);
+    await AsyncStorage.multiRemove([SIMULATION_KEY, RECENT_FIXES_KEY]);
   };
 
   // Get sorted alarms based on distance toggle
-  const getSortedAlarms = () => {
+  const getSortedAlarms = (filter = groupFilter) => {
+    const shown = filter ? alarms.filter(a => a.groupId === filter) : alarms;
     if (!sortByDistance || !location) {
-      return alarms;
+      return shown;
     }
     
     // Sort by distance to boundary (edge) from current position (least to most)
-    return [...alarms].sort((a, b) => {
-      const distToCenterA = getDistance(location.coords.latitude, location.coords.longitude, a.latitude, a.longitude);
-      const distToCenterB = getDistance(location.coords.latitude, location.coords.longitude, b.latitude, b.longitude);
-      const distToEdgeA = Math.max(0, distToCenterA - a.radius);
-      const distToEdgeB = Math.max(0, distToCenterB - b.radius);
+    return [...shown].sort((a, b) => {
+      const distToEdgeA = getDistanceToBoundary(location.coords, a);
+      const distToEdgeB = getDistanceToBoundary(location.coords, b);
       return distToEdgeA - distToEdgeB;
     });
   };
 
   const renderItem = ({ item }) => {
     let distToEdge = 0;
+    let eta = null;
     if (location) {
-      const distToCenter = getDistance(location.coords.latitude, location.coords.longitude, item.latitude, item.longitude);
-      distToEdge = Math.max(0, distToCenter - item.radius);
+      distToEdge = getDistanceToBoundary(location.coords, item);
+      if (getTriggerType(item) !== 'exit') eta = getEtaSeconds(location.coords, item, motion);
     }
-    const distDisplay = distToEdge > 1000 ? `${(distToEdge / 1000).toFixed(1)} km` : `${distToEdge.toFixed(0)} m`;
+    const distDisplay = formatDistance(distToEdge);
+    const etaDisplay = eta !== null && eta > 0 ? ` • ⏱ ${formatEta(eta)}` : '';
     const isSelected = selectedAlarmId === item.id;
+    const scheduleText = formatSchedule(item);
+    const trip = item.tripId ? trips.find(tr => tr.id === item.tripId) : null;
+    const group = item.groupId ? groups.find(g => g.id === item.groupId) : null;
+    const nextArmed = getNextArmedTime(item);
+    const isArmedNow = isAlarmInWindow(item);
+    let windowText = null;
+    if (scheduleText) {
+      if (!nextArmed) windowText = t('alarm.expired');
+      else if (!isArmedNow) windowText = t('alarm.nextArmed', { time: formatNextArmed(nextArmed) });
+    }
 
     return (
       <View style={[
@@ -665,14 +2453,40 @@ export default function App() {
       ]}>
         <View style={{flex: 1}}>
           <Text style={styles.cardTitle}>{item.name}</Text>
-          {item.triggered && <Text style={{color:'red', fontWeight:'bold', marginTop: 4}}>RINGING!</Text>}
-          <Text style={styles.cardSub}>Radius: {item.radius.toFixed(0)}m • {item.active ? "Active" : "Off"}</Text>
-          {item.active && !item.triggered && (
-            <View style={styles.liveContainer}><Text style={styles.liveText}>📍 {distDisplay} to boundary</Text></View>
+          {!!group && <Text style={[styles.cardSub, {color: group.color, fontWeight: 'bold'}]}>● {group.name}</Text>}
+          {item.triggered && !item.snoozedUntil && <Text style={{color:'red', fontWeight:'bold', marginTop: 4}}>{item.triggeredBy === 'exit' ? t('alarm.ringingLeft') : t('alarm.ringing')}</Text>}
+          {item.triggered && !!item.snoozedUntil && <Text style={{color:'#FF9500', fontWeight:'bold', marginTop: 4}}>{t('alarm.snoozedUntil', { time: formatTime(new Date(item.snoozedUntil)) })}</Text>}
+          {item.triggered && (
+            <View style={styles.ringingActions}>
+              <TouchableOpacity onPress={() => stopAlarmAndRefresh(item.id)} style={[styles.ringingBtn, {backgroundColor:'#FF3B30'}]}><Text style={styles.ringingBtnText}>{t('alarm.stop')}</Text></TouchableOpacity>
+              {!item.snoozedUntil && (
+                <TouchableOpacity onPress={() => snoozeAlarmAndRefresh(item.id)} style={[styles.ringingBtn, {backgroundColor:'#FF9500'}]}><Text style={styles.ringingBtnText}>{t('alarm.snooze')}</Text></TouchableOpacity>
+              )}
+            </View>
+          )}
+          <Text style={styles.cardSub}>{formatArea(item)} • {getTriggerLabel(item)} • {item.active ? t('alarm.active') : t('alarm.off')}</Text>
+          {!!scheduleText && <Text style={styles.cardSub}>🗓 {scheduleText}</Text>}
+          {!!trip && <Text style={styles.cardSub}>🧭 {trip.name} • {t('trip.stopOf', { number: trip.stops.indexOf(item.id) + 1, total: trip.stops.length })}</Text>}
+          {item.repeat && (
+            <Text style={styles.cardSub}>
+              🔁 {t('alarm.repeats')}{item.active && item.rearm ? ` • ${t('alarm.rearms', {
+                condition: item.rearm.crossing === 'exit'
+                  ? t('alarm.rearmInside')
+                  : item.mode === 'eta'
+                    ? t('alarm.rearmEta', { minutes: item.etaMinutes * ETA_REARM_FACTOR })
+                    : t('common.away', { distance: formatDistance(item.rearmDistance || DEFAULT_REARM_DISTANCE) }),
+                time: formatTime(new Date(item.rearm.until)),
+              })}` : ""}
+            </Text>
+          )}
+          {item.active && !!windowText && <Text style={styles.cardSub}>⏸ {windowText}</Text>}
+          {item.active && !item.triggered && isArmedNow && (
+            <View style={styles.liveContainer}><Text style={styles.liveText}>📍 {t('alarm.toBoundary', { distance: distDisplay })}{etaDisplay}</Text></View>
           )}
         </View>
         <View style={styles.cardActions}>
           <TouchableOpacity onPress={() => startEditing(item)} style={styles.iconBtn}><Text style={{fontSize:18}}>✏️</Text></TouchableOpacity>
+          <TouchableOpacity onPress={() => shareAlarm(item)} style={styles.iconBtn}><Text style={{fontSize:18}}>🔗</Text></TouchableOpacity>
           <Switch value={item.active} onValueChange={() => toggleAlarm(item.id)} />
           <TouchableOpacity onPress={() => deleteAlarm(item.id)} style={styles.iconBtn}><Text style={{fontSize:18}}>🗑️</Text></TouchableOpacity>
         </View>
@@ -680,6 +2494,60 @@ export default function App() {
     );
   };
 
+  // --- DEEP LINKS ---
+  const handleAlarmLink = async (params) => {
+    if (params.link === 'new') {
+      const draft = parseNewAlarmParams(params);
+      if (!draft) return Alert.alert(t('link.invalidTitle'), t('link.invalidBody'));
+      const coord = { latitude: draft.latitude, longitude: draft.longitude };
+      setIsDrawing(false);
+      setSelectedAlarmId(null);
+      setSelectedCoord(coord);
+      setSelectedLocationName(draft.name);
+      mapRef.current?.animateToRegion({ ...coord, latitudeDelta: 0.02, longitudeDelta: 0.02 }, 500);
+      startCreating(draft.polygon, draft.name, coord);
+      setTempRadius(draft.radius);
+      setTempTriggerType(draft.triggerType);
+    } else if (params.link === 'open') {
+      const found = await focusAlarm(params.alarmId);
+      if (found === false) Alert.alert(t('link.notFoundTitle'), t('link.notFoundBody'));
+    }
+  };
+
+  // Brings an alarm into view on the map and in the list. Resolves to false if it doesn't exist.
+  const focusAlarm = async (alarmId) => {
+    let saved;
+    try {
+      saved = await AlarmRepository.load();
+    } catch (e) {
+      return handleStorageError(e);
+    }
+    const alarm = saved.find(a => a.id === alarmId);
+    if (!alarm) return false;
+    setAlarms(saved);
+    setIsEditing(false);
+    mapRef.current?.animateToRegion({ latitude: alarm.latitude, longitude: alarm.longitude, latitudeDelta: 0.02, longitudeDelta: 0.02 }, 500);
+    handleAlarmMarkerPress(alarm);
+    return true;
+  };
+
+  const shareAlarm = async (alarm) => {
+    try {
+      await Share.share({ message: `${alarm.name}\n${buildAlarmLink(alarm)}` });
+    } catch (e) {
+      console.log("Error sharing alarm:", e);
+    }
+  };
+
+  // Group color, or the usual green for alarms outside a group
+  const getAlarmColor = (alarm) => groups.find(g => g.id === alarm.groupId)?.color || "green";
+
+  const getAlarmFill = (alarm) => {
+    if (!alarm.active) return "rgba(100,100,100,0.1)";
+    const group = groups.find(g => g.id === alarm.groupId);
+    return group ? withAlpha(group.color, 0.1) : "rgba(0, 255, 0, 0.1)";
+  };
+
   // Handle alarm marker click
   const handleAlarmMarkerPress = (alarm) => {
     setSelectedAlarmId(alarm.id);
@@ -687,7 +2555,10 @@ export default function App() {
     
     // Scroll to the alarm in the list (use sorted list if sorting is enabled)
     if (flatListRef.current) {
-      const sortedAlarms = getSortedAlarms();
+      // Show every alarm if the group filter hides this one
+      const filter = groupFilter && alarm.groupId !== groupFilter ? null : groupFilter;
+      if (filter !== groupFilter) setGroupFilter(filter);
+      const sortedAlarms = getSortedAlarms(filter);
       const alarmIndex = sortedAlarms.findIndex(a => a.id === alarm.id);
       if (alarmIndex !== -1) {
         setTimeout(() => {
@@ -701,6 +2572,21 @@ export default function App() {
     }
   };
 
+  // Oldest first, so a second alarm joins at the bottom instead of moving the buttons under the user's finger
+  const ringingAlarms = alarms.filter(isRinging).sort((a, b) => (a.triggeredAt || 0) - (b.triggeredAt || 0));
+
+  const stopAllRinging = async () => {
+    for (const alarm of ringingAlarms) await stopAlarmAndRefresh(alarm.id);
+  };
+
+  const filteredGroup = groupFilter ? groups.find(g => g.id === groupFilter) : null;
+  const groupMembers = filteredGroup ? alarms.filter(a => a.groupId === filteredGroup.id) : [];
+
+  // Slider stops in the chosen unit system
+  const radiusSteps = getSliderSteps('radius');
+  const rearmSteps = getSliderSteps('rearm');
+  const accuracySteps = getSliderSteps('accuracy');
+
   // Fixed panel height - same for both edit and list views
   const PANEL_HEIGHT = "50%"; // Fixed height for the panel
   
@@ -713,19 +2599,19 @@ export default function App() {
     <>
       <StatusBar style="dark" />
       {!gpsEnabled && (
-        <View style={styles.warningBar}><Text style={styles.warningText}>⚠️ GPS is Disabled! Alarms won't work.</Text></View>
+        <View style={styles.warningBar}><Text style={styles.warningText}>{t('gps.disabledWarning')}</Text></View>
       )}
 
       <View style={styles.statsHeader}>
         <View>
-            <Text style={styles.statsLabel}>LAT: {location?.coords.latitude.toFixed(7) || "..."}</Text>
-            <Text style={styles.statsLabel}>LNG: {location?.coords.longitude.toFixed(7) || "..."}</Text>
+            <Text style={styles.statsLabel}>{t('gps.latitude', { value: location?.coords.latitude.toFixed(7) || "..." })}</Text>
+            <Text style={styles.statsLabel}>{t('gps.longitude', { value: location?.coords.longitude.toFixed(7) || "..." })}</Text>
         </View>
         <View style={{flexDirection: 'row', alignItems: 'center', gap: 15}}>
           <View>
-              <Text style={styles.statsLabel}>GPS Accuracy</Text>
+              <Text style={styles.statsLabel}>{t('gps.accuracy')}</Text>
               <Text style={[styles.statsValue, {color: (location?.coords.accuracy || 100) < 20 ? 'green' : 'orange'}]}>
-                  {location?.coords.accuracy?.toFixed(1) || "?"} m
+                  {location?.coords.accuracy != null ? formatDistance(location.coords.accuracy) : "?"}
               </Text>
           </View>
           <TouchableOpacity 
@@ -744,6 +2630,12 @@ export default function App() {
             showsUserLocation={true}
             showsMyLocationButton={true}
             onPress={async (e) => {
+              if (isDrawing) {
+                // Each tap adds a vertex to the shape being drawn
+                const vertex = e.nativeEvent.coordinate;
+                setTempPolygon(prev => [...prev, vertex]);
+                return;
+              }
               if (!isEditing) {
                 // Clear selected alarm when tapping on map
                 setSelectedAlarmId(null);
@@ -770,29 +2662,141 @@ export default function App() {
             <React.Fragment key={alarm.id}>
                 <Marker 
                   coordinate={alarm} 
-                  pinColor={alarm.active ? "green" : "gray"}
+                  pinColor={alarm.active ? getAlarmColor(alarm) : "gray"}
                   onPress={() => handleAlarmMarkerPress(alarm)}
                 >
                   <Callout>
                     <View style={styles.calloutContainer}>
                       <Text style={styles.calloutTitle}>{alarm.name}</Text>
                       <Text style={styles.calloutSubtext}>
-                        Radius: {alarm.radius.toFixed(0)}m • {alarm.active ? "Active" : "Off"}
+                        {formatArea(alarm)} • {alarm.active ? t('alarm.active') : t('alarm.off')}
                       </Text>
                     </View>
                   </Callout>
                 </Marker>
-                <Circle center={alarm} radius={alarm.radius} fillColor={alarm.active ? "rgba(0, 255, 0, 0.1)" : "rgba(100,100,100,0.1)"} strokeColor={alarm.active ? "green" : "gray"} />
+                {alarm.shape === 'polygon' ? (
+                  <Polygon coordinates={alarm.polygon} fillColor={getAlarmFill(alarm)} strokeColor={alarm.active ? getAlarmColor(alarm) : "gray"} />
+                ) : (
+                  <Circle center={alarm} radius={alarm.radius} fillColor={getAlarmFill(alarm)} strokeColor={alarm.active ? getAlarmColor(alarm) : "gray"} />
+                )}
             </React.Fragment>
             ))}
+            {placesOnMap && !isEditing && places.map(place => (
+                <Marker key={`place-${place.id}`} coordinate={place} anchor={{ x: 0.5, y: 0.5 }} onCalloutPress={() => createAlarmFromPlace(place)}>
+                  <View style={styles.placeMarker}><Text style={styles.placeMarkerText}>⭐</Text></View>
+                  <Callout>
+                    <View style={styles.calloutContainer}>
+                      <Text style={styles.calloutTitle}>{place.name}</Text>
+                      <Text style={styles.calloutSubtext}>{t('place.calloutHint')}</Text>
+                    </View>
+                  </Callout>
+                </Marker>
+            ))}
             {selectedCoord && !isEditing && <Marker coordinate={selectedCoord} pinColor="blue" />}
-            {isEditing && selectedCoord && (
+            {simTrack && (
+                <>
+                    <Polyline coordinates={simTrack} strokeColor="rgba(128, 0, 128, 0.6)" strokeWidth={3} />
+                    {simPosition && <Marker coordinate={simPosition} pinColor="purple" title={t('replay.simulatedPosition')} />}
+                </>
+            )}
+            {isEditing && selectedCoord && tempShape === 'circle' && (
                 <>
-                    <Marker coordinate={selectedCoord} pinColor="orange" />
+                    <Marker coordinate={selectedCoord} pinColor="orange" draggable onDragEnd={(e) => moveEditedPin(e.nativeEvent.coordinate)} />
                     <Circle center={selectedCoord} radius={tempRadius} fillColor="rgba(255, 165, 0, 0.2)" strokeColor="orange" strokeWidth={2} />
+                    <Marker
+                      coordinate={getPointEastOf(selectedCoord, tempRadius)}
+                      anchor={{ x: 0.5, y: 0.5 }}
+                      draggable
+                      onDragEnd={(e) => resizeFromHandle(e.nativeEvent.coordinate)}
+                    >
+                      <View style={styles.vertexHandle} />
+                    </Marker>
+                </>
+            )}
+            {(isDrawing || (isEditing && tempShape === 'polygon')) && tempPolygon && (
+                <>
+                    {tempPolygon.length >= 3 && !isDrawing && (
+                        <Polygon coordinates={tempPolygon} fillColor="rgba(255, 165, 0, 0.2)" strokeColor="orange" strokeWidth={2} />
+                    )}
+                    {tempPolygon.length >= 2 && isDrawing && (
+                        <Polyline coordinates={tempPolygon} strokeColor="orange" strokeWidth={2} />
+                    )}
+                    {tempPolygon.map((vertex, index) => (
+                        <Marker
+                          key={`vertex-${index}`}
+                          coordinate={vertex}
+                          anchor={{ x: 0.5, y: 0.5 }}
+                          draggable
+                          onDragEnd={(e) => moveVertex(index, e.nativeEvent.coordinate)}
+                        >
+                          <View style={styles.vertexHandle} />
+                        </Marker>
+                    ))}
                 </>
             )}
         </MapView>
+        {simTrack && !isDrawing && (
+          <View style={styles.simToolbar}>
+            <Text style={styles.drawHint}>{t('replay.progress', { number: simIndex + 1, total: simTrack.length })}</Text>
+            <View style={styles.drawButtons}>
+              {REPLAY_SPEEDS.map(speed => (
+                <TouchableOpacity key={speed} onPress={() => changeSimSpeed(speed)} style={[styles.drawBtn, {backgroundColor: simSpeed === speed ? '#800080' : '#eee'}]}>
+                  <Text style={[styles.btnText, simSpeed === speed && {color:'white'}]}>{speed}×</Text>
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity onPress={stopTrackReplay} style={[styles.drawBtn, {backgroundColor:'#FF3B30'}]}><Text style={[styles.btnText, {color:'white'}]}>{t('alarm.stop')}</Text></TouchableOpacity>
+            </View>
+          </View>
+        )}
+        {!isEditing && !isDrawing && !simTrack && (
+          <View style={styles.searchContainer}>
+            <View style={styles.searchBar}>
+              <TextInput
+                style={styles.searchInput}
+                value={searchQuery}
+                onChangeText={setSearchQuery}
+                onFocus={() => setIsSearchFocused(true)}
+                onSubmitEditing={searchDestination}
+                placeholder={t('search.placeholder')}
+                returnKeyType="search"
+              />
+              {(searchQuery.length > 0 || isSearchFocused) && (
+                <TouchableOpacity onPress={clearSearch}><Text style={styles.searchClear}>✕</Text></TouchableOpacity>
+              )}
+            </View>
+            {isSearching && <View style={styles.searchResults}><Text style={styles.searchHint}>{t('search.searching')}</Text></View>}
+            {!isSearching && searchResults && (
+              <View style={styles.searchResults}>
+                {searchResults.length === 0 && <Text style={styles.searchHint}>{t('search.noResults')}</Text>}
+                {searchResults.map((place, index) => (
+                  <TouchableOpacity key={`${place.latitude},${place.longitude},${index}`} onPress={() => selectSearchResult(place)} style={styles.searchRow}>
+                    <Text style={styles.searchRowText} numberOfLines={2}>📍 {place.name}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            {!searchResults && isSearchFocused && !searchQuery && recentSearches.length > 0 && (
+              <View style={styles.searchResults}>
+                <Text style={styles.searchHint}>{t('search.recent')}</Text>
+                {recentSearches.map((place, index) => (
+                  <TouchableOpacity key={`${place.latitude},${place.longitude},${index}`} onPress={() => selectSearchResult(place)} style={styles.searchRow}>
+                    <Text style={styles.searchRowText} numberOfLines={2}>🕘 {place.name}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+          </View>
+        )}
+        {isDrawing && (
+          <View style={styles.drawToolbar}>
+            <Text style={styles.drawHint}>{t('draw.hint')}</Text>
+            <View style={styles.drawButtons}>
+              <TouchableOpacity onPress={cancelDrawing} style={[styles.drawBtn, {backgroundColor:'#ccc'}]}><Text style={styles.btnText}>{t('common.cancel')}</Text></TouchableOpacity>
+              <TouchableOpacity onPress={undoVertex} disabled={tempPolygon.length === 0} style={[styles.drawBtn, {backgroundColor:'#eee'}]}><Text style={styles.btnText}>{t('draw.undo')}</Text></TouchableOpacity>
+              <TouchableOpacity onPress={finishDrawing} style={[styles.drawBtn, {backgroundColor:'#FF9500'}]}><Text style={[styles.btnText, {color:'white'}]}>{t('draw.close', { count: tempPolygon.length })}</Text></TouchableOpacity>
+            </View>
+          </View>
+        )}
       </View>
 
       <View style={[
@@ -808,36 +2812,350 @@ export default function App() {
               keyboardShouldPersistTaps="handled"
               showsVerticalScrollIndicator={true}
             >
-                <Text style={styles.panelTitle}>{editingId ? "Edit Alarm" : "New Alarm"}</Text>
+                <Text style={styles.panelTitle}>{editingId ? t('edit.editTitle') : t('edit.newTitle')}</Text>
                 <TextInput 
                   style={styles.input} 
                   value={tempName} 
                   onChangeText={setTempName} 
-                  placeholder="Alarm Name"
+                  placeholder={t('edit.namePlaceholder')}
                   returnKeyType="done"
                   blurOnSubmit={true}
                 />
+                {groups.length > 0 && (
+                    <View style={styles.sliderContainer}>
+                        <Text style={styles.label}>{t('group.title')}</Text>
+                        <View style={styles.chipWrap}>
+                            {[{ id: null, name: t('group.none'), color: '#999' }, ...groups].map(group => (
+                                <TouchableOpacity
+                                  key={group.id || 'none'}
+                                  onPress={() => setTempGroupId(group.id)}
+                                  style={[styles.chip, {borderColor: group.color}, tempGroupId === group.id && {backgroundColor: group.color}]}
+                                >
+                                  <Text style={[styles.segmentText, {color: group.color}, tempGroupId === group.id && styles.segmentTextActive]}>{group.name}</Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                    </View>
+                )}
+                {tempShape === 'polygon' ? (
+                    <View style={styles.sliderContainer}>
+                        <Text style={styles.label}>{t('area.polygon', { count: tempPolygon?.length || 0 })}</Text>
+                        <Text style={{color:'#888', fontSize:12}}>{t('edit.polygonHint')}</Text>
+                    </View>
+                ) : (
+                    <View style={styles.sliderContainer}>
+                        <View style={styles.radiusRow}>
+                            <Text style={[styles.label, {flex: 1}]}>{t('area.radius', { distance: formatDistance(tempRadius) })}</Text>
+                            <TextInput
+                              style={[styles.input, styles.radiusInput]}
+                              value={radiusInput ?? String(toInputUnits(tempRadius))}
+                              onChangeText={setRadiusInput}
+                              onEndEditing={commitRadiusInput}
+                              keyboardType="number-pad"
+                              returnKeyType="done"
+                              maxLength={6}
+                            />
+                            <Text style={styles.label}>{getInputUnitLabel()}</Text>
+                        </View>
+                        <Slider style={{width: '100%', height: 40}} minimumValue={0} maximumValue={radiusSteps.length - 1} step={1} value={getNearestStepIndex(radiusSteps, tempRadius)} onValueChange={(i) => { setTempRadius(radiusSteps[i]); setRadiusInput(null); }} minimumTrackTintColor="#FF9500" thumbTintColor="#FF9500" />
+                        <Text style={{color:'#888', fontSize:12}}>{t('edit.circleHint')}</Text>
+                    </View>
+                )}
+                <View style={styles.sliderContainer}>
+                    <Text style={styles.label}>{t('edit.alarmType')}</Text>
+                    <View style={styles.segmentRow}>
+                        {ALARM_MODES.map(mode => (
+                            <TouchableOpacity
+                              key={mode.value}
+                              onPress={() => setTempMode(mode.value)}
+                              style={[styles.segmentBtn, tempMode === mode.value && styles.segmentBtnActive]}
+                            >
+                              <Text style={[styles.segmentText, tempMode === mode.value && styles.segmentTextActive]}>{t(mode.labelKey)}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                </View>
+                {tempMode === 'eta' ? (
+                    <View style={styles.sliderContainer}>
+                        <Text style={styles.label}>{t('edit.etaLabel', { minutes: tempEtaMinutes })}</Text>
+                        <Slider style={{width: '100%', height: 40}} minimumValue={1} maximumValue={60} step={1} value={tempEtaMinutes} onValueChange={setTempEtaMinutes} minimumTrackTintColor="#FF9500" thumbTintColor="#FF9500" />
+                    </View>
+                ) : (
+                    <View style={styles.sliderContainer}>
+                        <Text style={styles.label}>{t('edit.ringWhen')}</Text>
+                        <View style={styles.segmentRow}>
+                            {TRIGGER_TYPES.map(type => (
+                                <TouchableOpacity
+                                  key={type.value}
+                                  onPress={() => setTempTriggerType(type.value)}
+                                  style={[styles.segmentBtn, tempTriggerType === type.value && styles.segmentBtnActive]}
+                                >
+                                  <Text style={[styles.segmentText, tempTriggerType === type.value && styles.segmentTextActive]}>{t(type.labelKey)}</Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                    </View>
+                )}
+                <View style={styles.sliderContainer}>
+                    <View style={styles.switchRow}>
+                        <Text style={styles.label}>{t('sound.title')}</Text>
+                        <TouchableOpacity onPress={isPreviewing ? stopPreview : startPreview}>
+                            <Text style={styles.linkText}>{isPreviewing ? t('sound.stopPreview') : t('sound.preview')}</Text>
+                        </TouchableOpacity>
+                    </View>
+                    <View style={styles.chipWrap}>
+                        {ALARM_TONES.map(tone => (
+                            <TouchableOpacity
+                              key={tone.value}
+                              onPress={() => tone.value === 'custom' ? pickSoundFile() : updateTempSound('tone', tone.value)}
+                              style={[styles.chip, tempSound.tone === tone.value && styles.segmentBtnActive]}
+                            >
+                              <Text style={[styles.segmentText, tempSound.tone === tone.value && styles.segmentTextActive]}>
+                                {tone.value === 'custom' && tempSound.fileName ? `📁 ${tempSound.fileName}` : t(tone.labelKey)}
+                              </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    {tempSound.tone !== 'none' && (
+                        <>
+                            <Text style={styles.label}>{t('sound.volume', { percent: Math.round(tempSound.volume * 100) })}</Text>
+                            <Slider style={{width: '100%', height: 40}} minimumValue={0.1} maximumValue={1} step={0.05} value={tempSound.volume} onValueChange={(v) => updateTempSound('volume', v)} minimumTrackTintColor="#FF9500" thumbTintColor="#FF9500" />
+                            <Text style={styles.label}>{t('sound.fadeIn', { duration: tempSound.fadeInSeconds > 0 ? t('tier.seconds', { seconds: tempSound.fadeInSeconds }) : t('alarm.off') })}</Text>
+                            <Slider style={{width: '100%', height: 40}} minimumValue={0} maximumValue={60} step={5} value={tempSound.fadeInSeconds} onValueChange={(v) => updateTempSound('fadeInSeconds', v)} minimumTrackTintColor="#FF9500" thumbTintColor="#FF9500" />
+                        </>
+                    )}
+                    <Text style={styles.label}>{t('sound.vibration')}</Text>
+                    <View style={styles.segmentRow}>
+                        {VIBRATION_PROFILES.map(profile => (
+                            <TouchableOpacity
+                              key={profile.value}
+                              onPress={() => updateTempSound('vibration', profile.value)}
+                              style={[styles.segmentBtn, tempSound.vibration === profile.value && styles.segmentBtnActive]}
+                            >
+                              <Text style={[styles.segmentText, tempSound.vibration === profile.value && styles.segmentTextActive]}>{t(profile.labelKey)}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                </View>
+                <View style={styles.sliderContainer}>
+                    <View style={styles.switchRow}>
+                        <Text style={styles.label}>{t('edit.repeat')}</Text>
+                        <Switch value={tempRepeat} onValueChange={setTempRepeat} />
+                    </View>
+                    {tempRepeat && (
+                        <>
+                            {tempMode === 'eta' ? (
+                                <Text style={styles.label}>{t('edit.rearmEta', { minutes: tempEtaMinutes * ETA_REARM_FACTOR })}</Text>
+                            ) : (
+                                <>
+                                    <Text style={styles.label}>{t('edit.rearmDistance', { distance: formatDistance(tempRearmDistance) })}</Text>
+                                    <Slider style={{width: '100%', height: 40}} minimumValue={0} maximumValue={rearmSteps.length - 1} step={1} value={getNearestStepIndex(rearmSteps, tempRearmDistance)} onValueChange={(i) => setTempRearmDistance(rearmSteps[i])} minimumTrackTintColor="#FF9500" thumbTintColor="#FF9500" />
+                                </>
+                            )}
+                            <Text style={styles.label}>{t('edit.rearmCooldown', { minutes: tempRearmCooldown })}</Text>
+                            <Slider style={{width: '100%', height: 40}} minimumValue={5} maximumValue={240} step={5} value={tempRearmCooldown} onValueChange={setTempRearmCooldown} minimumTrackTintColor="#FF9500" thumbTintColor="#FF9500" />
+                        </>
+                    )}
+                </View>
+                <View style={styles.sliderContainer}>
+                    <View style={styles.switchRow}>
+                        <Text style={styles.label}>{t('schedule.toggle')}</Text>
+                        <Switch value={!!tempSchedule} onValueChange={(on) => setTempSchedule(on ? DEFAULT_SCHEDULE : null)} />
+                    </View>
+                    {tempSchedule && (
+                        <>
+                            <View style={styles.segmentRow}>
+                                {DAY_KEYS.map((dayKey, day) => (
+                                    <TouchableOpacity
+                                      key={dayKey}
+                                      onPress={() => toggleScheduleDay(day)}
+                                      style={[styles.dayChip, tempSchedule.days.includes(day) && styles.segmentBtnActive]}
+                                    >
+                                      <Text style={[styles.segmentText, tempSchedule.days.includes(day) && styles.segmentTextActive]}>{t(`${dayKey}.initial`)}</Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+                            {tempSchedule.ranges.map((range, index) => (
+                                <View key={index} style={styles.timeRangeRow}>
+                                    <TextInput style={[styles.input, styles.timeInput]} value={range.start} onChangeText={(v) => updateScheduleRange(index, 'start', v)} placeholder="07:00" maxLength={5} keyboardType="numbers-and-punctuation" />
+                                    <Text style={styles.label}>{t('schedule.to')}</Text>
+                                    <TextInput style={[styles.input, styles.timeInput]} value={range.end} onChangeText={(v) => updateScheduleRange(index, 'end', v)} placeholder="10:00" maxLength={5} keyboardType="numbers-and-punctuation" />
+                                    <TouchableOpacity onPress={() => removeScheduleRange(index)} style={styles.iconBtn}><Text style={{fontSize:16}}>✕</Text></TouchableOpacity>
+                                </View>
+                            ))}
+                            <TouchableOpacity onPress={addScheduleRange}><Text style={styles.linkText}>{t('schedule.addRange')}</Text></TouchableOpacity>
+                        </>
+                    )}
+                    <View style={styles.timeRangeRow}>
+                        <TextInput style={[styles.input, styles.dateInput]} value={tempStartDate} onChangeText={setTempStartDate} placeholder={t('schedule.startPlaceholder')} maxLength={10} keyboardType="numbers-and-punctuation" />
+                        <TextInput style={[styles.input, styles.dateInput]} value={tempEndDate} onChangeText={setTempEndDate} placeholder={t('schedule.endPlaceholder')} maxLength={10} keyboardType="numbers-and-punctuation" />
+                    </View>
+                </View>
                 <View style={styles.sliderContainer}>
-                    <Text style={styles.label}>Radius: {tempRadius.toFixed(0)} m</Text>
-                    <Slider style={{width: '100%', height: 40}} minimumValue={50} maximumValue={5000} step={50} value={tempRadius} onValueChange={setTempRadius} minimumTrackTintColor="#FF9500" thumbTintColor="#FF9500" />
+                    <Text style={styles.label}>{t('actions.title')}</Text>
+                    {tempActions.map(action => (
+                        <View key={action.id} style={styles.actionCard}>
+                            <View style={styles.switchRow}>
+                                <Text style={styles.cardTitle}>{ACTION_TYPES[action.type].icon} {t(ACTION_TYPES[action.type].labelKey)}</Text>
+                                <TouchableOpacity onPress={() => removeTempAction(action.id)} style={styles.iconBtn}><Text style={{fontSize:16}}>✕</Text></TouchableOpacity>
+                            </View>
+                            {action.type === 'webhook' ? (
+                                <TextInput
+                                  style={styles.input}
+                                  value={action.url}
+                                  onChangeText={(v) => updateTempAction(action.id, 'url', v)}
+                                  placeholder="https://example.com/arrived"
+                                  autoCapitalize="none"
+                                  autoCorrect={false}
+                                  keyboardType="url"
+                                />
+                            ) : (
+                                <TextInput
+                                  style={styles.input}
+                                  value={action.template}
+                                  onChangeText={(v) => updateTempAction(action.id, 'template', v)}
+                                  placeholder={getDefaultMessageTemplate()}
+                                  multiline
+                                />
+                            )}
+                            <Text style={styles.cardSub}>
+                                {action.type === 'webhook' ? t('actions.webhookHint') : t('actions.messageHint')}
+                            </Text>
+                            {editingId && <Text style={styles.cardSub}>{t('actions.lastRun', { status: formatActionStatus(actionStatus[action.id]) })}</Text>}
+                        </View>
+                    ))}
+                    <View style={styles.chipWrap}>
+                        <TouchableOpacity onPress={() => addTempAction('webhook')} style={styles.chip}><Text style={styles.segmentText}>+ {t('actions.webhook')}</Text></TouchableOpacity>
+                        <TouchableOpacity onPress={() => addTempAction('message')} style={styles.chip}><Text style={styles.segmentText}>+ {t('actions.message')}</Text></TouchableOpacity>
+                    </View>
                 </View>
+                {editingId && (
+                    <TouchableOpacity onPress={() => router.push({ pathname: '/history', params: { alarmId: editingId } })}>
+                        <Text style={styles.linkText}>{t('edit.viewHistory')}</Text>
+                    </TouchableOpacity>
+                )}
                 <View style={styles.buttonRow}>
-                    <TouchableOpacity onPress={cancelEdit} style={[styles.actionBtn, {backgroundColor:'#ccc'}]}><Text style={styles.btnText}>Cancel</Text></TouchableOpacity>
-                    <TouchableOpacity onPress={saveAlarm} style={[styles.actionBtn, {backgroundColor:'#007AFF'}]}><Text style={[styles.btnText, {color:'white'}]}>Save Alarm</Text></TouchableOpacity>
+                    <TouchableOpacity onPress={cancelEdit} style={[styles.actionBtn, {backgroundColor:'#ccc'}]}><Text style={styles.btnText}>{t('common.cancel')}</Text></TouchableOpacity>
+                    <TouchableOpacity onPress={saveAlarm} style={[styles.actionBtn, {backgroundColor:'#007AFF'}]}><Text style={[styles.btnText, {color:'white'}]}>{t('edit.save')}</Text></TouchableOpacity>
                 </View>
             </ScrollView>
+        ) : showPlaces ? (
+            <>
+                <View style={styles.listHeader}>
+                    <Text style={styles.panelTitle}>{placeDraft ? (placeDraft.id ? t('place.editTitle') : t('place.newTitle')) : t('place.listTitle')}</Text>
+                    {placeDraft ? (
+                        <TouchableOpacity onPress={() => setPlaceDraft(null)}><Text style={styles.linkText}>{t('common.cancel')}</Text></TouchableOpacity>
+                    ) : (
+                        <View style={{alignItems: 'flex-end'}}>
+                            {selectedCoord ? (
+                                <TouchableOpacity style={styles.createBtn} onPress={() => startPlaceDraft()}><Text style={styles.createBtnText}>{t('place.savePin')}</Text></TouchableOpacity>
+                            ) : (
+                                <Text style={{color:'#888', fontSize:12}}>{t('place.tapToAdd')}</Text>
+                            )}
+                            <TouchableOpacity onPress={() => setShowPlaces(false)}><Text style={styles.linkText}>{t('nav.backToAlarms')}</Text></TouchableOpacity>
+                            <View style={styles.sortToggleContainer}>
+                                <Text style={styles.sortToggleLabel}>{t('place.showOnMap')}</Text>
+                                <Switch
+                                    value={placesOnMap}
+                                    onValueChange={togglePlacesOnMap}
+                                    trackColor={{ false: '#767577', true: '#007AFF' }}
+                                    thumbColor={placesOnMap ? '#fff' : '#f4f3f4'}
+                                />
+                            </View>
+                        </View>
+                    )}
+                </View>
+                {placeDraft ? (
+                    <ScrollView keyboardShouldPersistTaps="handled">
+                        <TextInput
+                          style={styles.input}
+                          value={placeDraft.name}
+                          onChangeText={(name) => setPlaceDraft(prev => ({ ...prev, name }))}
+                          placeholder={t('place.namePlaceholder')}
+                          returnKeyType="done"
+                        />
+                        <View style={styles.sliderContainer}>
+                            <Text style={styles.label}>{t('place.defaultRadius', { distance: formatDistance(placeDraft.radius) })}</Text>
+                            <Slider style={{width: '100%', height: 40}} minimumValue={0} maximumValue={radiusSteps.length - 1} step={1} value={getNearestStepIndex(radiusSteps, placeDraft.radius)} onValueChange={(i) => setPlaceDraft(prev => ({ ...prev, radius: radiusSteps[i] }))} minimumTrackTintColor="#FF9500" thumbTintColor="#FF9500" />
+                        </View>
+                        {placeDraft.id && selectedCoord && (
+                            <TouchableOpacity onPress={() => setPlaceDraft(prev => ({ ...prev, ...selectedCoord }))}><Text style={styles.linkText}>{t('place.moveToPin')}</Text></TouchableOpacity>
+                        )}
+                        <View style={styles.buttonRow}>
+                            <TouchableOpacity onPress={savePlaceDraft} style={[styles.actionBtn, {backgroundColor:'#007AFF'}]}><Text style={[styles.btnText, {color:'white'}]}>{t('place.save')}</Text></TouchableOpacity>
+                        </View>
+                    </ScrollView>
+                ) : (
+                    <FlatList
+                      data={places}
+                      keyExtractor={(item) => item.id}
+                      renderItem={renderPlace}
+                      contentContainerStyle={{paddingBottom: 20}}
+                      ListEmptyComponent={<Text style={{color:'#888', fontSize:12}}>{t('place.empty')}</Text>}
+                    />
+                )}
+            </>
+        ) : showTrips ? (
+            <>
+                <View style={styles.listHeader}>
+                    <Text style={styles.panelTitle}>{tripDraft ? (tripDraft.id ? t('trip.editTitle') : t('trip.newTitle')) : t('trip.listTitle')}</Text>
+                    {tripDraft ? (
+                        <TouchableOpacity onPress={() => setTripDraft(null)}><Text style={styles.linkText}>{t('common.cancel')}</Text></TouchableOpacity>
+                    ) : (
+                        <View style={{alignItems: 'flex-end'}}>
+                            <TouchableOpacity style={styles.createBtn} onPress={() => startTripDraft()}><Text style={styles.createBtnText}>{t('trip.add')}</Text></TouchableOpacity>
+                            <TouchableOpacity onPress={() => setShowTrips(false)}><Text style={styles.linkText}>{t('nav.backToAlarms')}</Text></TouchableOpacity>
+                        </View>
+                    )}
+                </View>
+                {tripDraft ? (
+                    <ScrollView keyboardShouldPersistTaps="handled">
+                        <TextInput
+                          style={styles.input}
+                          value={tripDraft.name}
+                          onChangeText={(name) => setTripDraft(prev => ({ ...prev, name }))}
+                          placeholder={t('trip.namePlaceholder')}
+                          returnKeyType="done"
+                        />
+                        <Text style={styles.label}>{t('trip.pickStops')}</Text>
+                        {alarms.filter(a => !a.tripId || a.tripId === tripDraft.id).map(alarm => {
+                          const order = tripDraft.stops.indexOf(alarm.id);
+                          return (
+                            <TouchableOpacity key={alarm.id} onPress={() => toggleDraftStop(alarm.id)} style={[styles.card, order !== -1 && styles.cardSelected]}>
+                              <Text style={styles.cardTitle}>{order !== -1 ? `${order + 1}. ` : ""}{alarm.name}</Text>
+                            </TouchableOpacity>
+                          );
+                        })}
+                        <TouchableOpacity onPress={saveTripDraft} style={[styles.actionBtn, {backgroundColor:'#007AFF'}]}><Text style={[styles.btnText, {color:'white'}]}>{t('trip.save')}</Text></TouchableOpacity>
+                    </ScrollView>
+                ) : (
+                    <FlatList
+                      data={trips}
+                      keyExtractor={(item) => item.id}
+                      renderItem={renderTrip}
+                      contentContainerStyle={{paddingBottom: 20}}
+                      ListEmptyComponent={<Text style={{color:'#888', fontSize:12}}>{t('trip.empty')}</Text>}
+                    />
+                )}
+            </>
         ) : (
             <>
                 <View style={styles.listHeader}>
-                    <Text style={styles.panelTitle}>Your Alarms</Text>
+                    <Text style={styles.panelTitle}>{t('list.title')}</Text>
                     <View style={{alignItems: 'flex-end'}}>
                         {selectedCoord ? (
-                            <TouchableOpacity style={styles.createBtn} onPress={startCreating}><Text style={styles.createBtnText}>+ Set Alarm</Text></TouchableOpacity>
+                            <TouchableOpacity style={styles.createBtn} onPress={() => startCreating()}><Text style={styles.createBtnText}>{t('list.setAlarm')}</Text></TouchableOpacity>
                         ) : (
-                            <Text style={{color:'#888', fontSize:12}}>Tap map to create</Text>
+                            <Text style={{color:'#888', fontSize:12}}>{t('list.tapToCreate')}</Text>
                         )}
+                        {!isDrawing && (
+                            <TouchableOpacity onPress={startDrawing}><Text style={styles.linkText}>{t('list.drawArea')}</Text></TouchableOpacity>
+                        )}
+                        <TouchableOpacity onPress={() => setShowPlaces(true)}><Text style={styles.linkText}>{t('list.places')}</Text></TouchableOpacity>
+                        <TouchableOpacity onPress={() => setShowTrips(true)}><Text style={styles.linkText}>{t('list.trips')}</Text></TouchableOpacity>
+                        <TouchableOpacity onPress={() => router.push('/history')}><Text style={styles.linkText}>{t('list.history')}</Text></TouchableOpacity>
                         <View style={styles.sortToggleContainer}>
-                            <Text style={styles.sortToggleLabel}>Sort by distance</Text>
+                            <Text style={styles.sortToggleLabel}>{t('list.sortByDistance')}</Text>
                             <Switch 
                                 value={sortByDistance} 
                                 onValueChange={setSortByDistance}
@@ -847,6 +3165,37 @@ export default function App() {
                         </View>
                     </View>
                 </View>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.groupBar} contentContainerStyle={{gap: 8}} keyboardShouldPersistTaps="handled">
+                    <TouchableOpacity onPress={() => setGroupFilter(null)} style={[styles.chip, {borderColor: '#007AFF'}, !groupFilter && {backgroundColor: '#007AFF'}]}>
+                        <Text style={[styles.segmentText, {color: '#007AFF'}, !groupFilter && styles.segmentTextActive]}>{t('common.all')}</Text>
+                    </TouchableOpacity>
+                    {groups.map(group => (
+                        <TouchableOpacity
+                          key={group.id}
+                          onPress={() => setGroupFilter(groupFilter === group.id ? null : group.id)}
+                          onLongPress={() => startGroupDraft(group)}
+                          style={[styles.chip, {borderColor: group.color}, groupFilter === group.id && {backgroundColor: group.color}]}
+                        >
+                          <Text style={[styles.segmentText, {color: group.color}, groupFilter === group.id && styles.segmentTextActive]}>{group.name}</Text>
+                        </TouchableOpacity>
+                    ))}
+                    <TouchableOpacity onPress={() => startGroupDraft()} style={[styles.chip, {borderColor: '#ccc'}]}>
+                        <Text style={[styles.segmentText, {color: '#666'}]}>+ {t('group.title')}</Text>
+                    </TouchableOpacity>
+                </ScrollView>
+                {!!filteredGroup && (
+                    <View style={styles.groupActions}>
+                        <Text style={[styles.cardSub, {flex: 1}]}>{t('group.onCount', { count: groupMembers.filter(a => a.active).length, total: groupMembers.length })}</Text>
+                        <TouchableOpacity onPress={() => setGroupActive(filteredGroup.id, true)}><Text style={styles.linkText}>{t('group.enableAll')}</Text></TouchableOpacity>
+                        <TouchableOpacity onPress={() => setGroupActive(filteredGroup.id, false)}><Text style={styles.linkText}>{t('group.disableAll')}</Text></TouchableOpacity>
+                        <TouchableOpacity onPress={() => startGroupDraft(filteredGroup)}><Text style={styles.linkText}>✏️</Text></TouchableOpacity>
+                    </View>
+                )}
+                {trips.filter(tr => tr.status === 'running').map(trip => (
+                    <TouchableOpacity key={trip.id} onPress={() => setShowTrips(true)} style={styles.tripBanner}>
+                        <Text style={styles.liveText}>🧭 {trip.name}: {getTripProgress(trip)}</Text>
+                    </TouchableOpacity>
+                ))}
                 <FlatList 
                   ref={flatListRef}
                   data={getSortedAlarms()} 
@@ -876,7 +3225,7 @@ export default function App() {
         <View style={styles.modalOverlay}>
           <View style={styles.modalContent}>
             <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Settings</Text>
+              <Text style={styles.modalTitle}>{t('settings.title')}</Text>
               <TouchableOpacity 
                 onPress={() => setShowSettings(false)}
                 style={styles.modalCloseButton}
@@ -884,37 +3233,323 @@ export default function App() {
                 <Text style={styles.modalCloseText}>✕</Text>
               </TouchableOpacity>
             </View>
-            
-            <View style={styles.settingItem}>
-              <View style={styles.settingInfo}>
-                <Text style={styles.settingTitle}>Run in Background</Text>
-                <Text style={styles.settingDescription}>
-                  Keep the app running in the background even when closed. This allows alarms to work when the app is not open.
-                </Text>
+            <ScrollView showsVerticalScrollIndicator={true}>
+              <View style={styles.settingItem}>
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingTitle}>{t('settings.background')}</Text>
+                  <Text style={styles.settingDescription}>{t('settings.backgroundDescription')}</Text>
+                </View>
+                <Switch
+                  value={backgroundRunning}
+                  onValueChange={saveBackgroundRunningPreference}
+                  trackColor={{ false: '#767577', true: '#007AFF' }}
+                  thumbColor={backgroundRunning ? '#fff' : '#f4f3f4'}
+                />
               </View>
-              <Switch
-                value={backgroundRunning}
-                onValueChange={saveBackgroundRunningPreference}
-                trackColor={{ false: '#767577', true: '#007AFF' }}
-                thumbColor={backgroundRunning ? '#fff' : '#f4f3f4'}
-              />
-            </View>
 
-            {backgroundRunning && (
-              <View style={styles.infoBox}>
-                <Text style={styles.infoText}>
-                  ℹ️ Background mode is enabled. The app will continue monitoring your location and trigger alarms even when closed.
-                </Text>
+              {backgroundRunning && (
+                <View style={styles.infoBox}>
+                  <Text style={styles.infoText}>{t('settings.backgroundOn')}</Text>
+                </View>
+              )}
+
+              {!backgroundRunning && (
+                <View style={styles.warningBox}>
+                  <Text style={styles.warningText}>{t('settings.backgroundOff')}</Text>
+                </View>
+              )}
+
+              <Text style={styles.settingSectionTitle}>{t('settings.tracking')}</Text>
+
+              <View style={styles.settingSlider}>
+                <View style={styles.segmentRow}>
+                  {MONITORING_ENGINES.map(engine => (
+                    <TouchableOpacity
+                      key={engine.value}
+                      onPress={() => saveMonitoringEngine(engine.value)}
+                      style={[styles.segmentBtn, monitoringEngine === engine.value && styles.segmentBtnActive]}
+                    >
+                      <Text style={[styles.segmentText, monitoringEngine === engine.value && styles.segmentTextActive]}>{t(engine.labelKey)}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {monitoringEngine === 'geofence' && (
+                  <Text style={[styles.settingDescription, {marginTop: 8}]}>
+                    {t('settings.geofenceDescription', { count: geofenceCount, max: MAX_NATIVE_GEOFENCES })}
+                  </Text>
+                )}
+              </View>
+
+              <View style={styles.settingSlider}>
+                {(() => {
+                  const tier = TRACKING_TIERS.find(option => option.value === trackingTier);
+                  return tier ? (
+                    <>
+                      <Text style={styles.settingTitle}>{t(tier.labelKey)} • {formatTrackingTier(tier)}</Text>
+                      <Text style={styles.settingDescription}>{t('settings.tierDescription')}</Text>
+                    </>
+                  ) : (
+                    <Text style={styles.settingDescription}>
+                      {monitoringEngine === 'geofence' ? t('settings.gpsIdle') : t('settings.notTracking')}
+                    </Text>
+                  );
+                })()}
+              </View>
+
+              <Text style={styles.settingSectionTitle}>{t('settings.triggerAccuracy')}</Text>
+
+              <View style={styles.settingSlider}>
+                <Text style={styles.settingTitle}>{t('settings.maxAccuracy', { distance: formatDistance(triggerSettings.maxAccuracy) })}</Text>
+                <Text style={styles.settingDescription}>{t('settings.maxAccuracyDescription')}</Text>
+                <Slider style={{width: '100%', height: 40}} minimumValue={0} maximumValue={accuracySteps.length - 1} step={1} value={getNearestStepIndex(accuracySteps, triggerSettings.maxAccuracy)} onValueChange={(i) => updateTriggerSetting('maxAccuracy', accuracySteps[i])} onSlidingComplete={(i) => saveTriggerSetting('maxAccuracy', accuracySteps[i])} minimumTrackTintColor="#007AFF" thumbTintColor="#007AFF" />
               </View>
-            )}
 
-            {!backgroundRunning && (
-              <View style={styles.warningBox}>
-                <Text style={styles.warningText}>
-                  ⚠️ Background mode is disabled. Alarms will only work when the app is open.
+              <View style={styles.settingSlider}>
+                <Text style={styles.settingTitle}>{t('settings.requiredFixes', { count: triggerSettings.requiredFixes })}</Text>
+                <Text style={styles.settingDescription}>{t('settings.requiredFixesDescription')}</Text>
+                <Slider style={{width: '100%', height: 40}} minimumValue={1} maximumValue={10} step={1} value={triggerSettings.requiredFixes} onValueChange={(v) => updateTriggerSetting('requiredFixes', v)} onSlidingComplete={(v) => saveTriggerSetting('requiredFixes', v)} minimumTrackTintColor="#007AFF" thumbTintColor="#007AFF" />
+              </View>
+
+              <View style={styles.settingSlider}>
+                <Text style={styles.settingTitle}>{t('settings.minDwell', { seconds: triggerSettings.minDwellSeconds })}</Text>
+                <Text style={styles.settingDescription}>{t('settings.minDwellDescription')}</Text>
+                <Slider style={{width: '100%', height: 40}} minimumValue={0} maximumValue={120} step={5} value={triggerSettings.minDwellSeconds} onValueChange={(v) => updateTriggerSetting('minDwellSeconds', v)} onSlidingComplete={(v) => saveTriggerSetting('minDwellSeconds', v)} minimumTrackTintColor="#007AFF" thumbTintColor="#007AFF" />
+              </View>
+
+              <Text style={styles.settingSectionTitle}>{t('settings.placeNames')}</Text>
+
+              <View style={styles.settingSlider}>
+                <Text style={styles.settingTitle}>{t('settings.addressFormat')}</Text>
+                <Text style={styles.settingDescription}>{t('settings.addressFormatDescription')}</Text>
+                <View style={[styles.chipWrap, {marginTop: 8}]}>
+                  {ADDRESS_PARTS.map(part => {
+                    const selected = addressFormat.includes(part.value);
+                    return (
+                      <TouchableOpacity key={part.value} onPress={() => toggleAddressPart(part.value)} style={[styles.chip, {borderColor: '#007AFF'}, selected && {backgroundColor: '#007AFF'}]}>
+                        <Text style={[styles.segmentText, {color: '#007AFF'}, selected && styles.segmentTextActive]}>{t(part.labelKey)}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+
+              <Text style={styles.settingSectionTitle}>{t('alarm.snooze')}</Text>
+
+              <View style={styles.settingSlider}>
+                <Text style={styles.settingTitle}>{t('settings.snoozeFor', { minutes: triggerSettings.snoozeMinutes })}</Text>
+                <Text style={styles.settingDescription}>{t('settings.snoozeDescription')}</Text>
+                <Slider style={{width: '100%', height: 40}} minimumValue={1} maximumValue={30} step={1} value={triggerSettings.snoozeMinutes} onValueChange={(v) => updateTriggerSetting('snoozeMinutes', v)} onSlidingComplete={(v) => saveTriggerSetting('snoozeMinutes', v)} minimumTrackTintColor="#007AFF" thumbTintColor="#007AFF" />
+              </View>
+
+              <Text style={styles.settingSectionTitle}>{t('settings.display')}</Text>
+
+              <View style={styles.settingSlider}>
+                <Text style={styles.settingTitle}>{t('settings.units')}</Text>
+                <View style={[styles.segmentRow, {marginTop: 8}]}>
+                  {UNIT_SYSTEMS.map(system => (
+                    <TouchableOpacity
+                      key={system.value}
+                      onPress={() => changeUnits(system.value)}
+                      style={[styles.segmentBtn, unitsPreference === system.value && styles.segmentBtnActive]}
+                    >
+                      <Text style={[styles.segmentText, unitsPreference === system.value && styles.segmentTextActive]}>{t(system.labelKey)}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Text style={[styles.settingDescription, {marginTop: 8}]}>{t('settings.unitsDescription')}</Text>
+              </View>
+
+              <View style={styles.settingSlider}>
+                <Text style={styles.settingTitle}>{t('settings.language')}</Text>
+                <View style={[styles.segmentRow, {marginTop: 8}]}>
+                  {LANGUAGES.map(language => (
+                    <TouchableOpacity
+                      key={language.value}
+                      onPress={() => changeLanguage(language.value)}
+                      style={[styles.segmentBtn, languagePreference === language.value && styles.segmentBtnActive]}
+                    >
+                      <Text style={[styles.segmentText, languagePreference === language.value && styles.segmentTextActive]}>
+                        {language.labelKey ? t(language.labelKey) : language.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              <Text style={styles.settingSectionTitle}>{t('settings.data')}</Text>
+
+              <View style={styles.buttonRow}>
+                <TouchableOpacity onPress={openImport} style={[styles.actionBtn, {backgroundColor:'#eee'}]}><Text style={styles.btnText}>{t('settings.import')}</Text></TouchableOpacity>
+                <TouchableOpacity onPress={openExport} style={[styles.actionBtn, {backgroundColor:'#eee'}]}><Text style={styles.btnText}>{t('settings.export')}</Text></TouchableOpacity>
+              </View>
+              <Text style={[styles.settingDescription, {marginTop: 8}]}>{t('settings.dataDescription')}</Text>
+
+              <Text style={styles.settingSectionTitle}>{t('settings.developer')}</Text>
+
+              <View style={styles.buttonRow}>
+                <TouchableOpacity onPress={openTrackReplay} style={[styles.actionBtn, {backgroundColor:'#eee'}]}><Text style={styles.btnText}>{t('settings.replay')}</Text></TouchableOpacity>
+              </View>
+              <Text style={[styles.settingDescription, {marginTop: 8}]}>{t('settings.replayDescription')}</Text>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Ringing Screen */}
+      <Modal
+        visible={ringingAlarms.length > 0}
+        animationType="fade"
+        // Back doesn't dismiss it - only Stop or Snooze does
+        onRequestClose={() => {}}
+      >
+        <View style={styles.ringingScreen}>
+          <StatusBar style="light" />
+          <Text style={styles.ringingScreenIcon}>🚨</Text>
+          <ScrollView style={{alignSelf: 'stretch'}} contentContainerStyle={{gap: 20, paddingBottom: 20}}>
+            {ringingAlarms.map(alarm => (
+              <View key={alarm.id} style={styles.ringingScreenAlarm}>
+                <Text style={styles.ringingScreenName}>{alarm.name}</Text>
+                <Text style={styles.ringingScreenSub}>
+                  {alarm.triggeredBy === 'exit' ? t('ringing.left') : t('ringing.arrived')}
+                  {alarm.triggeredAt ? ` • ${t('ringing.elapsed', { time: formatElapsed(ringingClock - alarm.triggeredAt) })}` : ""}
                 </Text>
+                <View style={styles.ringingScreenButtons}>
+                  <TouchableOpacity onPress={() => snoozeAlarmAndRefresh(alarm.id)} style={[styles.ringingScreenBtn, {backgroundColor:'#FF9500'}]}>
+                    <Text style={styles.ringingScreenBtnText}>{t('ringing.snooze', { minutes: triggerSettings.snoozeMinutes })}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => stopAlarmAndRefresh(alarm.id)} style={[styles.ringingScreenBtn, {backgroundColor:'#FF3B30'}]}>
+                    <Text style={styles.ringingScreenBtnText}>{t('alarm.stop')}</Text>
+                  </TouchableOpacity>
+                </View>
               </View>
-            )}
+            ))}
+          </ScrollView>
+          {ringingAlarms.length > 1 && (
+            <TouchableOpacity onPress={stopAllRinging} style={[styles.ringingScreenBtn, {backgroundColor:'#FF3B30', alignSelf: 'stretch', flex: 0}]}>
+              <Text style={styles.ringingScreenBtnText}>{t('ringing.stopAll', { count: ringingAlarms.length })}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </Modal>
+
+      {/* Group Modal */}
+      <Modal
+        visible={!!groupDraft}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setGroupDraft(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{groupDraft?.id ? t('group.editTitle') : t('group.newTitle')}</Text>
+              <TouchableOpacity onPress={() => setGroupDraft(null)} style={styles.modalCloseButton}>
+                <Text style={styles.modalCloseText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+            <TextInput
+              style={styles.input}
+              value={groupDraft?.name || ""}
+              onChangeText={(name) => setGroupDraft(prev => ({ ...prev, name }))}
+              placeholder={t('group.namePlaceholder')}
+              returnKeyType="done"
+            />
+            <View style={[styles.chipWrap, {marginBottom: 15}]}>
+              {GROUP_COLORS.map(color => (
+                <TouchableOpacity
+                  key={color}
+                  onPress={() => setGroupDraft(prev => ({ ...prev, color }))}
+                  style={[styles.colorSwatch, {backgroundColor: color}, groupDraft?.color === color && styles.colorSwatchActive]}
+                />
+              ))}
+            </View>
+            <View style={styles.buttonRow}>
+              {!!groupDraft?.id && (
+                <TouchableOpacity onPress={() => deleteGroup(groupDraft)} style={[styles.actionBtn, {backgroundColor:'#eee'}]}><Text style={[styles.btnText, {color:'#FF3B30'}]}>{t('common.delete')}</Text></TouchableOpacity>
+              )}
+              <TouchableOpacity onPress={saveGroupDraft} style={[styles.actionBtn, {backgroundColor:'#007AFF'}]}><Text style={[styles.btnText, {color:'white'}]}>{t('group.save')}</Text></TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Export Modal */}
+      <Modal
+        visible={!!exportSelection}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setExportSelection(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{t('export.modalTitle')}</Text>
+              <TouchableOpacity onPress={() => setExportSelection(null)} style={styles.modalCloseButton}>
+                <Text style={styles.modalCloseText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={[styles.segmentRow, {marginBottom: 15}]}>
+              {EXPORT_FORMATS.map(format => (
+                <TouchableOpacity
+                  key={format.value}
+                  onPress={() => setExportFormat(format.value)}
+                  style={[styles.segmentBtn, exportFormat === format.value && styles.segmentBtnActive]}
+                >
+                  <Text style={[styles.segmentText, exportFormat === format.value && styles.segmentTextActive]}>{format.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <ScrollView>
+              {alarms.map(alarm => (
+                <TouchableOpacity key={alarm.id} onPress={() => toggleExportAlarm(alarm.id)} style={styles.checkRow}>
+                  <Text style={styles.checkBox}>{exportSelection?.includes(alarm.id) ? "☑" : "☐"}</Text>
+                  <View style={{flex: 1}}>
+                    <Text style={styles.cardTitle}>{alarm.name}</Text>
+                    <Text style={styles.cardSub}>{formatArea(alarm)}</Text>
+                  </View>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            <TouchableOpacity onPress={shareExport} style={[styles.actionBtn, {backgroundColor:'#007AFF', marginTop: 15}]}>
+              <Text style={[styles.btnText, {color:'white'}]}>{t('export.share', { count: exportSelection?.length || 0 })}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Import Preview Modal */}
+      <Modal
+        visible={!!importPreview}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setImportPreview(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{t('import.modalTitle')}</Text>
+              <TouchableOpacity onPress={() => setImportPreview(null)} style={styles.modalCloseButton}>
+                <Text style={styles.modalCloseText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={[styles.settingDescription, {marginBottom: 10}]}>{t('import.description')}</Text>
+            <ScrollView>
+              {importPreview?.map((item, index) => (
+                <TouchableOpacity key={index} onPress={() => toggleImportDraft(index)} style={styles.checkRow}>
+                  <Text style={styles.checkBox}>{item.selected ? "☑" : "☐"}</Text>
+                  <View style={{flex: 1}}>
+                    <Text style={styles.cardTitle}>{item.draft.name}</Text>
+                    <Text style={styles.cardSub}>
+                      {formatArea(item.draft)} • {item.draft.latitude.toFixed(5)}, {item.draft.longitude.toFixed(5)}
+                    </Text>
+                    {item.duplicate && <Text style={{color:'#FF9500', fontSize:12, fontWeight:'bold'}}>{t('import.duplicate')}</Text>}
+                  </View>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            <TouchableOpacity onPress={confirmImport} style={[styles.actionBtn, {backgroundColor:'#007AFF', marginTop: 15}]}>
+              <Text style={[styles.btnText, {color:'white'}]}>{t('import.confirm', { count: importPreview?.filter(item => item.selected).length || 0 })}</Text>
+            </TouchableOpacity>
           </View>
         </View>
       </Modal>
@@ -947,6 +3582,22 @@ const styles = StyleSheet.create({
   statsValue: { fontSize: 14, fontWeight: 'bold' },
   mapContainer: { flex: 1, position: 'relative', minHeight: 200 },
   map: { width: '100%', height: '100%' },
+  placeMarker: { backgroundColor: 'white', borderRadius: 14, borderWidth: 2, borderColor: '#FFCC00', padding: 2 },
+  placeMarkerText: { fontSize: 14 },
+  vertexHandle: { width: 18, height: 18, borderRadius: 9, backgroundColor: 'white', borderWidth: 3, borderColor: '#FF9500' },
+  drawToolbar: { position: 'absolute', top: 10, left: 10, right: 10, backgroundColor: 'white', borderRadius: 12, padding: 10, elevation: 5, shadowColor: '#000', shadowOpacity: 0.2, shadowRadius: 4 },
+  searchContainer: { position: 'absolute', top: 10, left: 10, right: 10 },
+  simToolbar: { position: 'absolute', top: 10, left: 10, right: 10, backgroundColor: 'white', borderRadius: 12, padding: 10, elevation: 5, shadowColor: '#000', shadowOpacity: 0.2, shadowRadius: 4, borderWidth: 2, borderColor: '#800080' },
+  searchBar: { flexDirection: 'row', alignItems: 'center', backgroundColor: 'white', borderRadius: 12, paddingHorizontal: 12, elevation: 5, shadowColor: '#000', shadowOpacity: 0.2, shadowRadius: 4 },
+  searchInput: { flex: 1, paddingVertical: 10, fontSize: 15 },
+  searchClear: { fontSize: 16, color: '#999', paddingLeft: 10 },
+  searchResults: { backgroundColor: 'white', borderRadius: 12, marginTop: 6, paddingVertical: 4, elevation: 5, shadowColor: '#000', shadowOpacity: 0.2, shadowRadius: 4 },
+  searchRow: { paddingVertical: 10, paddingHorizontal: 12, borderTopWidth: 1, borderTopColor: '#f0f0f0' },
+  searchRowText: { fontSize: 14, color: '#333' },
+  searchHint: { fontSize: 12, color: '#666', paddingHorizontal: 12, paddingVertical: 6 },
+  drawHint: { fontSize: 12, color: '#666', marginBottom: 8, textAlign: 'center' },
+  drawButtons: { flexDirection: 'row', gap: 8 },
+  drawBtn: { flex: 1, paddingVertical: 8, borderRadius: 8, alignItems: 'center' },
   fab: { position: 'absolute', bottom: 20, right: 20, backgroundColor: 'white', width: 50, height: 50, borderRadius: 25, justifyContent: 'center', alignItems: 'center', elevation: 5, shadowColor: '#000', shadowOpacity: 0.3, shadowRadius: 3, shadowOffset: {width:0, height:2} },
   panel: { 
     backgroundColor: 'white', 
@@ -974,11 +3625,43 @@ const styles = StyleSheet.create({
   iconBtn: { padding: 5 },
   liveContainer: { marginTop: 8, backgroundColor: '#E3F2FD', padding: 4, borderRadius: 4, alignSelf: 'flex-start' },
   liveText: { color: '#007AFF', fontSize: 11, fontWeight: 'bold' },
+  tripBanner: { backgroundColor: '#E3F2FD', padding: 8, borderRadius: 8, marginBottom: 10 },
+  ringingActions: { flexDirection: 'row', gap: 8, marginTop: 6 },
+  ringingBtn: { paddingHorizontal: 12, paddingVertical: 5, borderRadius: 12 },
+  ringingBtnText: { color: 'white', fontWeight: 'bold', fontSize: 12 },
   editScrollView: { flex: 1 },
   editContainer: { flexGrow: 1, justifyContent: 'flex-start', paddingBottom: 0 },
   input: { borderWidth: 1, borderColor: '#ddd', borderRadius: 8, padding: 12, fontSize: 16, backgroundColor: '#F9F9F9', marginBottom: 15 },
   sliderContainer: { marginBottom: 15 },
+  radiusRow: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+  radiusInput: { width: 80, marginBottom: 5, paddingVertical: 6, textAlign: 'right' },
   label: { fontSize: 14, fontWeight: 'bold', marginBottom: 5, color:'#555' },
+  segmentRow: { flexDirection: 'row', gap: 8 },
+  segmentBtn: { flex: 1, paddingVertical: 8, borderRadius: 8, borderWidth: 1, borderColor: '#FF9500', alignItems: 'center' },
+  segmentBtnActive: { backgroundColor: '#FF9500' },
+  segmentText: { fontWeight: 'bold', color: '#FF9500' },
+  segmentTextActive: { color: 'white' },
+  switchRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 },
+  dayChip: { flex: 1, paddingVertical: 6, borderRadius: 16, borderWidth: 1, borderColor: '#FF9500', alignItems: 'center' },
+  timeRangeRow: { flexDirection: 'row', alignItems: 'center', gap: 8, marginTop: 8 },
+  timeInput: { flex: 1, marginBottom: 0, paddingVertical: 8, textAlign: 'center' },
+  dateInput: { flex: 1, marginBottom: 0, paddingVertical: 8, fontSize: 14 },
+  linkText: { color: '#007AFF', fontWeight: 'bold', marginTop: 8 },
+  chipWrap: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 8 },
+  chip: { paddingVertical: 6, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: '#FF9500' },
+  groupBar: { flexGrow: 0, marginBottom: 8 },
+  actionCard: { borderWidth: 1, borderColor: '#eee', borderRadius: 10, padding: 10, marginBottom: 8 },
+  ringingScreen: { flex: 1, backgroundColor: '#1a1a1a', alignItems: 'center', paddingTop: 70, paddingBottom: 40, paddingHorizontal: 20 },
+  ringingScreenIcon: { fontSize: 64, marginBottom: 20 },
+  ringingScreenAlarm: { alignItems: 'center', backgroundColor: '#2a2a2a', borderRadius: 20, padding: 20 },
+  ringingScreenName: { fontSize: 32, fontWeight: 'bold', color: 'white', textAlign: 'center' },
+  ringingScreenSub: { fontSize: 16, color: '#bbb', marginTop: 8, marginBottom: 20, textAlign: 'center' },
+  ringingScreenButtons: { flexDirection: 'row', gap: 12, alignSelf: 'stretch' },
+  ringingScreenBtn: { flex: 1, paddingVertical: 22, borderRadius: 16, alignItems: 'center' },
+  ringingScreenBtnText: { fontSize: 20, fontWeight: 'bold', color: 'white' },
+  groupActions: { flexDirection: 'row', alignItems: 'center', gap: 12, marginBottom: 8 },
+  colorSwatch: { width: 32, height: 32, borderRadius: 16 },
+  colorSwatchActive: { borderWidth: 3, borderColor: '#333' },
   buttonRow: { flexDirection: 'row', gap: 10, marginTop: 0, marginBottom: 0 },
   actionBtn: { flex: 1, paddingVertical: 10, paddingHorizontal: 15, borderRadius: 10, alignItems: 'center' },
   btnText: { fontWeight: 'bold' },
@@ -1042,6 +3725,31 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginBottom: 5,
   },
+  checkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  checkBox: {
+    fontSize: 22,
+    marginRight: 12,
+    color: '#007AFF',
+  },
+  settingSectionTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#888',
+    textTransform: 'uppercase',
+    marginTop: 25,
+    marginBottom: 5,
+  },
+  settingSlider: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
   settingDescription: {
     fontSize: 13,
     color: '#666',
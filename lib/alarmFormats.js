@@ -0,0 +1,291 @@
+// --- ALARM FORMATS: GPX / KML / GeoJSON import & export ---
+// Plain functions with no React Native imports so they can also run under Node.
+// Imports produce "drafts": { name, latitude, longitude, radius, shape, polygon, triggerType }.
+// Text that ends up in front of the user (default names, the KML document name) is passed in by the caller,
+// so the app can translate it; the English defaults are for the Node scripts.
+import { getPolygonCentroid, clampRadius } from './triggerEngine.js';
+
+export const DEFAULT_IMPORT_RADIUS = 500;
+
+export const TRIGGER_TYPES = ['enter', 'exit', 'both'];
+
+export const EXPORT_FORMATS = [
+  { value: 'gpx', label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', uti: 'com.topografix.gpx' },
+  { value: 'kml', label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', uti: 'com.google.earth.kml' },
+  { value: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', uti: 'public.json' },
+];
+
+// --- XML HELPERS (also used by trackReplay.js) ---
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const decodeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Every <tag ...>...</tag> (or self-closing <tag .../>) as { attrs, body }. Namespace prefixes are ignored.
+// A self-closing tag never takes a body, or it would swallow everything up to the next element's closing tag.
+export const findElements = (xml, tag) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}(\\s[^>]*?)?(?:/>|(?<!/)>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, 'g');
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    elements.push({ attrs: match[1] || '', body: match[2] || '' });
+  }
+  return elements;
+};
+
+export const getAttribute = (attrs, name) => {
+  const match = new RegExp(`${name}\\s*=\\s*["']([^"']*)["']`).exec(attrs);
+  return match ? match[1] : null;
+};
+
+export const getChildText = (xml, tag) => {
+  const element = findElements(xml, tag)[0];
+  return element ? decodeXml(element.body) : null;
+};
+
+export const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+export const isValidCoordinate = (latitude, longitude) =>
+  latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+// Radii from files and links follow the edit panel's limits; a missing one gets the default
+export const toAlarmRadius = (radius) => radius > 0 ? clampRadius(radius) : DEFAULT_IMPORT_RADIUS;
+
+// Drops the closing vertex that GeoJSON and KML rings repeat
+const openRing = (points) => {
+  if (points.length < 2) return points;
+  const first = points[0];
+  const last = points[points.length - 1];
+  return first.latitude === last.latitude && first.longitude === last.longitude ? points.slice(0, -1) : points;
+};
+
+const makeDraft = ({ name, latitude, longitude, radius, polygon, triggerType }) => {
+  const isPolygon = Array.isArray(polygon) && polygon.length >= 3;
+  const center = isPolygon ? getPolygonCentroid(polygon) : { latitude, longitude };
+  return {
+    name: name || null,
+    latitude: center.latitude,
+    longitude: center.longitude,
+    radius: toAlarmRadius(radius),
+    shape: isPolygon ? 'polygon' : 'circle',
+    polygon: isPolygon ? polygon : null,
+    triggerType: TRIGGER_TYPES.includes(triggerType) ? triggerType : 'enter',
+  };
+};
+
+// --- EXPORT ---
+// Circles become waypoints. GPX has no areas, so a polygon becomes a route through its vertices,
+// marked with <gpsalarm:shape> so we read it back as an area rather than a path.
+const toGpx = (alarms) => {
+  const circles = alarms.filter(alarm => alarm.shape !== 'polygon');
+  const polygons = alarms.filter(alarm => alarm.shape === 'polygon');
+  const waypoints = circles.map(alarm => [
+    `  <wpt lat="${alarm.latitude}" lon="${alarm.longitude}">`,
+    `    <name>${escapeXml(alarm.name)}</name>`,
+    `    <desc>radius=${Math.round(alarm.radius)}</desc>`,
+    '    <extensions>',
+    `      <gpsalarm:radius>${Math.round(alarm.radius)}</gpsalarm:radius>`,
+    `      <gpsalarm:trigger>${alarm.triggerType || 'enter'}</gpsalarm:trigger>`,
+    '    </extensions>',
+    '  </wpt>',
+  ].join('\n'));
+  const routes = polygons.map(alarm => [
+    '  <rte>',
+    `    <name>${escapeXml(alarm.name)}</name>`,
+    '    <extensions>',
+    `      <gpsalarm:radius>${Math.round(alarm.radius)}</gpsalarm:radius>`,
+    `      <gpsalarm:trigger>${alarm.triggerType || 'enter'}</gpsalarm:trigger>`,
+    '      <gpsalarm:shape>polygon</gpsalarm:shape>',
+    '    </extensions>',
+    ...alarm.polygon.map(v => `    <rtept lat="${v.latitude}" lon="${v.longitude}"/>`),
+    '  </rte>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="GPS Alarm" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpsalarm="https://gpsalert.app/gpx">',
+    ...waypoints,
+    ...routes,
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+const toKml = (alarms, documentName) => {
+  const placemarks = alarms.map(alarm => {
+    const geometry = alarm.shape === 'polygon'
+      ? [
+        '      <Polygon><outerBoundaryIs><LinearRing><coordinates>',
+        [...alarm.polygon, alarm.polygon[0]].map(v => `${v.longitude},${v.latitude},0`).join(' '),
+        '      </coordinates></LinearRing></outerBoundaryIs></Polygon>',
+      ].join('\n')
+      : `      <Point><coordinates>${alarm.longitude},${alarm.latitude},0</coordinates></Point>`;
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(alarm.name)}</name>`,
+      '      <ExtendedData>',
+      `        <Data name="radius"><value>${Math.round(alarm.radius)}</value></Data>`,
+      `        <Data name="trigger"><value>${alarm.triggerType || 'enter'}</value></Data>`,
+      '      </ExtendedData>',
+      geometry,
+      '    </Placemark>',
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(documentName)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+};
+
+const toGeoJson = (alarms) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: alarms.map(alarm => ({
+    type: 'Feature',
+    geometry: alarm.shape === 'polygon'
+      ? { type: 'Polygon', coordinates: [[...alarm.polygon, alarm.polygon[0]].map(v => [v.longitude, v.latitude])] }
+      : { type: 'Point', coordinates: [alarm.longitude, alarm.latitude] },
+    properties: {
+      name: alarm.name,
+      radius: Math.round(alarm.radius),
+      triggerType: alarm.triggerType || 'enter',
+    },
+  })),
+}, null, 2);
+
+export const exportAlarms = (alarms, format, { documentName = 'GPS Alarms' } = {}) => {
+  if (format === 'gpx') return toGpx(alarms);
+  if (format === 'kml') return toKml(alarms, documentName);
+  if (format === 'geojson') return toGeoJson(alarms);
+  throw new Error(`Unknown export format: ${format}`);
+};
+
+// --- IMPORT ---
+const parseGpxWaypoints = (xml) => findElements(xml, 'wpt').map(({ attrs, body }) => {
+  const latitude = toNumber(getAttribute(attrs, 'lat'));
+  const longitude = toNumber(getAttribute(attrs, 'lon'));
+  if (!isValidCoordinate(latitude, longitude)) return null;
+  // Our own extension first, then the "radius=NNN" hint other tools keep in <desc>
+  const descRadius = /radius\s*=\s*(\d+(?:\.\d+)?)/i.exec(getChildText(body, 'desc') || '');
+  return makeDraft({
+    name: getChildText(body, 'name'),
+    latitude,
+    longitude,
+    radius: toNumber(getChildText(body, 'radius')) || (descRadius ? toNumber(descRadius[1]) : null),
+    triggerType: getChildText(body, 'trigger'),
+  });
+}).filter(Boolean);
+
+// Only routes we exported as areas - other tools' routes are paths, not places to arrive at
+const parseGpxAreas = (xml) => findElements(xml, 'rte').map(({ body }) => {
+  if (getChildText(body, 'shape') !== 'polygon') return null;
+  const polygon = findElements(body, 'rtept')
+    .map(({ attrs }) => ({ latitude: toNumber(getAttribute(attrs, 'lat')), longitude: toNumber(getAttribute(attrs, 'lon')) }))
+    .filter(v => isValidCoordinate(v.latitude, v.longitude));
+  if (polygon.length < 3) return null;
+  return makeDraft({
+    name: getChildText(body, 'name'),
+    radius: toNumber(getChildText(body, 'radius')),
+    triggerType: getChildText(body, 'trigger'),
+    polygon,
+  });
+}).filter(Boolean);
+
+const parseGpx = (xml) => [...parseGpxWaypoints(xml), ...parseGpxAreas(xml)];
+
+const parseKmlCoordinates = (text) => text.trim().split(/\s+/).map(tuple => {
+  const [longitude, latitude] = tuple.split(',').map(toNumber);
+  return isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+}).filter(Boolean);
+
+const parseKml = (xml) => findElements(xml, 'Placemark').map(({ body }) => {
+  const data = {};
+  findElements(body, 'Data').forEach(({ attrs, body: dataBody }) => {
+    data[getAttribute(attrs, 'name')] = getChildText(dataBody, 'value');
+  });
+  const name = getChildText(body, 'name');
+  const radius = toNumber(data.radius);
+  const triggerType = data.trigger;
+
+  const polygonElement = findElements(body, 'Polygon')[0];
+  if (polygonElement) {
+    const outer = findElements(polygonElement.body, 'outerBoundaryIs')[0]?.body || polygonElement.body;
+    const polygon = openRing(parseKmlCoordinates(getChildText(outer, 'coordinates') || ''));
+    if (polygon.length >= 3) return makeDraft({ name, radius, triggerType, polygon });
+  }
+  const pointElement = findElements(body, 'Point')[0];
+  if (!pointElement) return null;
+  const [point] = parseKmlCoordinates(getChildText(pointElement.body, 'coordinates') || '');
+  return point ? makeDraft({ name, radius, triggerType, ...point }) : null;
+}).filter(Boolean);
+
+const parseGeoJson = (text) => {
+  const json = JSON.parse(text);
+  let features = [];
+  if (json.type === 'FeatureCollection') features = json.features || [];
+  else if (json.type === 'Feature') features = [json];
+  else if (json.type) features = [{ type: 'Feature', geometry: json, properties: {} }];
+
+  return features.map(feature => {
+    const { geometry } = feature;
+    const properties = feature.properties || {};
+    if (!geometry) return null;
+    const name = properties.name || properties.title;
+    const radius = toNumber(properties.radius ?? properties.radius_m);
+    const triggerType = properties.triggerType;
+
+    // Coordinates may come as strings - keep the parsed numbers, like the XML parsers do
+    if (geometry.type === 'Point') {
+      const [longitude, latitude] = (geometry.coordinates || []).map(toNumber);
+      if (!isValidCoordinate(latitude, longitude)) return null;
+      return makeDraft({ name, radius, triggerType, latitude, longitude });
+    }
+    // Only the outer ring (and the first polygon of a MultiPolygon) becomes the geofence
+    const ring = geometry.type === 'Polygon' ? geometry.coordinates?.[0]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates?.[0]?.[0] : null;
+    if (!ring) return null;
+    const polygon = openRing(ring.map(([longitude, latitude]) => ({ latitude: toNumber(latitude), longitude: toNumber(longitude) }))
+      .filter(v => isValidCoordinate(v.latitude, v.longitude)));
+    return polygon.length >= 3 ? makeDraft({ name, radius, triggerType, polygon }) : null;
+  }).filter(Boolean);
+};
+
+// Works out the format from the file name, falling back to sniffing the content
+export const detectFormat = (fileName, text) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (extension === 'gpx' || extension === 'kml') return extension;
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+  const head = text.trimStart().slice(0, 500);
+  if (head.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(head)) return 'gpx';
+  if (/<kml[\s>]/.test(head)) return 'kml';
+  return null;
+};
+
+const PARSERS = { gpx: parseGpx, kml: parseKml, geojson: parseGeoJson };
+
+// defaultName names the places the file left unnamed
+export const importAlarms = (text, fileName, { defaultName = 'Imported alarm' } = {}) => {
+  const parse = PARSERS[detectFormat(fileName, text)];
+  if (parse) return parse(text).map(draft => draft.name ? draft : { ...draft, name: defaultName });
+  // key is for the app to translate; the message is what the Node scripts print
+  throw Object.assign(new Error('Unsupported file - expected GPX, KML or GeoJSON.'), { key: 'import.unsupported' });
+};
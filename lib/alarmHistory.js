@@ -0,0 +1,64 @@
+// --- ALARM HISTORY: Trigger, snooze and stop events ---
+// Shared by the main screen, the background tasks and the history screen.
+// entry = { id, type, alarmId, alarmName, timestamp, latitude, longitude, accuracy, source }
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const HISTORY_KEY = '@alarm_history';
+const MAX_HISTORY_ENTRIES = 500;
+
+export const HISTORY_EVENT_TYPES = {
+  trigger: { labelKey: 'history.trigger', icon: '🚨' },
+  snooze: { labelKey: 'history.snooze', icon: '💤' },
+  stop: { labelKey: 'history.stop', icon: '✅' },
+};
+
+// Where the event came from: the foreground watcher, background-location-task, an OS geofence,
+// a button in the app, a notification action, a snooze running out, or a replayed test track
+export const HISTORY_SOURCES = {
+  foreground: 'history.source.foreground',
+  background: 'history.source.background',
+  geofence: 'history.source.geofence',
+  app: 'history.source.app',
+  notification: 'history.source.notification',
+  snooze: 'history.source.snooze',
+  simulation: 'history.source.simulation',
+};
+
+export const loadHistory = async () => {
+  try {
+    const json = await AsyncStorage.getItem(HISTORY_KEY);
+    return json != null ? JSON.parse(json) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Appends run one after another so events logged close together don't overwrite each other
+let writeQueue = Promise.resolve();
+
+// Newest first, trimmed to MAX_HISTORY_ENTRIES
+export const logAlarmEvent = (type, alarm, { coords = null, source } = {}) => {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    alarmId: alarm.id,
+    alarmName: alarm.name,
+    timestamp: Date.now(),
+    latitude: coords?.latitude ?? null,
+    longitude: coords?.longitude ?? null,
+    accuracy: coords?.accuracy ?? null,
+    source,
+  };
+  writeQueue = writeQueue
+    .then(async () => {
+      const history = await loadHistory();
+      await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify([entry, ...history].slice(0, MAX_HISTORY_ENTRIES)));
+    })
+    .catch((e) => console.log("Error logging alarm event:", e));
+  return writeQueue;
+};
+
+export const clearHistory = async () => {
+  await writeQueue;
+  await AsyncStorage.removeItem(HISTORY_KEY);
+};
@@ -0,0 +1,56 @@
+// --- ALARM LINKS: myapp:// links for sharing and opening alarms ---
+//   myapp://alarm/new?name=..&lat=..&lng=..&radius=..&trigger=..&poly=lat,lng;lat,lng;...
+//   myapp://alarm/<id>
+// Plain functions with no React Native imports, like alarmFormats.js - whose coordinate, radius and
+// trigger rules links share, so a linked alarm and an imported one come out the same.
+import { getPolygonCentroid } from './triggerEngine.js';
+import { toNumber, isValidCoordinate, toAlarmRadius, TRIGGER_TYPES } from './alarmFormats.js';
+
+export const ALARM_LINK_SCHEME = 'myapp'; // must match "scheme" in app.json
+
+// 6 decimals is ~10 cm, plenty for a stop
+const formatCoordinate = (value) => Number(value.toFixed(6));
+
+const parsePolygon = (text) => {
+  if (!text) return null;
+  const points = text.split(';').map(pair => {
+    const [latitude, longitude] = pair.split(',').map(toNumber);
+    return isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+  });
+  return points.length >= 3 && points.every(Boolean) ? points : null;
+};
+
+// A link that recreates the alarm's place, radius and trigger on another phone - not its schedule or sound
+export const buildAlarmLink = (alarm) => {
+  const params = [
+    ['name', alarm.name],
+    ['lat', formatCoordinate(alarm.latitude)],
+    ['lng', formatCoordinate(alarm.longitude)],
+    ['radius', Math.round(alarm.radius)],
+    ['trigger', alarm.triggerType || 'enter'],
+  ];
+  if (alarm.shape === 'polygon') {
+    params.push(['poly', alarm.polygon.map(v => `${formatCoordinate(v.latitude)},${formatCoordinate(v.longitude)}`).join(';')]);
+  }
+  const query = params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+  return `${ALARM_LINK_SCHEME}://alarm/new?${query}`;
+};
+
+// Query params of a "new" link -> { name, latitude, longitude, radius, triggerType, polygon }, or null if the
+// place is missing or invalid. A usable polygon wins over lat/lng; the radius is clamped to what the edit panel accepts.
+export const parseNewAlarmParams = (params) => {
+  const polygon = parsePolygon(params.poly);
+  const { latitude, longitude } = polygon
+    ? getPolygonCentroid(polygon)
+    : { latitude: toNumber(params.lat), longitude: toNumber(params.lng ?? params.lon) };
+  if (!isValidCoordinate(latitude, longitude)) return null;
+
+  return {
+    name: typeof params.name === 'string' && params.name.trim() ? params.name.trim() : null,
+    latitude,
+    longitude,
+    radius: toAlarmRadius(toNumber(params.radius)),
+    triggerType: TRIGGER_TYPES.includes(params.trigger) ? params.trigger : 'enter',
+    polygon,
+  };
+};
@@ -0,0 +1,159 @@
+// --- ALARM REPOSITORY: The one place alarms are read from and written to storage ---
+// Stored as { version, alarms }. Version 0 is the bare array written by older builds.
+// Writes go through update(), which runs one read-modify-write at a time so the UI, the
+// background location task and notification actions can't overwrite each other's changes.
+// Trips live here too: advancing a trip arms its next stop, so both are written in the same queued step.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = '@gps_alarms';
+const BACKUP_KEY = '@gps_alarms_backup';
+const TRIPS_KEY = '@gps_trips';
+
+export const SCHEMA_VERSION = 1;
+
+// MIGRATIONS[n] turns version n - 1 alarms into version n alarms
+const MIGRATIONS = {
+  // 0 -> 1: fill in fields that were added after the first release, ids are always strings
+  1: (alarms) => alarms.map(alarm => ({
+    shape: 'circle',
+    polygon: null,
+    triggerType: 'enter',
+    mode: 'radius',
+    repeat: false,
+    triggered: false,
+    ...alarm,
+    id: String(alarm.id),
+  })),
+};
+
+// code: 'corrupt' (unreadable JSON), 'invalid' (some records fail validation), 'newer-version'
+// (written by a newer build) or 'invalid-write' (a caller tried to store a broken record).
+// For 'invalid', validAlarms holds the records that can be kept - see recover(). For 'invalid-write',
+// alarmName and problem (a translation key from validateAlarm) say what was refused. The message is only for logs.
+export class AlarmStorageError extends Error {
+  constructor(message, { code, raw = null, validAlarms = [], alarmName = null, problem = null }) {
+    super(message);
+    this.name = 'AlarmStorageError';
+    this.code = code;
+    this.raw = raw;
+    this.validAlarms = validAlarms;
+    this.alarmName = alarmName;
+    this.problem = problem;
+  }
+}
+
+const isCoordinate = (point) =>
+  point != null &&
+  Number.isFinite(point.latitude) && Math.abs(point.latitude) <= 90 &&
+  Number.isFinite(point.longitude) && Math.abs(point.longitude) <= 180;
+
+// Returns the translation key of what's wrong with a stored alarm, or null if it's usable
+export const validateAlarm = (alarm) => {
+  if (alarm == null || typeof alarm !== 'object') return 'storage.problem.notObject';
+  if (typeof alarm.id !== 'string' || !alarm.id) return 'storage.problem.id';
+  if (typeof alarm.name !== 'string') return 'storage.problem.name';
+  if (!isCoordinate(alarm)) return 'storage.problem.coordinates';
+  if (!Number.isFinite(alarm.radius) || alarm.radius <= 0) return 'storage.problem.radius';
+  if (alarm.shape !== 'circle' && alarm.shape !== 'polygon') return 'storage.problem.shape';
+  if (alarm.shape === 'polygon' && (!Array.isArray(alarm.polygon) || alarm.polygon.length < 3 || !alarm.polygon.every(isCoordinate))) {
+    return 'storage.problem.polygon';
+  }
+  if (typeof alarm.active !== 'boolean') return 'storage.problem.active';
+  return null;
+};
+
+const migrate = (data) => {
+  const version = Array.isArray(data) ? 0 : data?.version;
+  let alarms = Array.isArray(data) ? data : data?.alarms;
+  if (!Number.isInteger(version) || !Array.isArray(alarms)) {
+    throw new AlarmStorageError("Stored alarms are in an unknown format.", { code: 'corrupt' });
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new AlarmStorageError("Alarms were saved by a newer version of the app.", { code: 'newer-version' });
+  }
+  for (let v = version + 1; v <= SCHEMA_VERSION; v++) alarms = MIGRATIONS[v](alarms);
+  return { alarms, migrated: version !== SCHEMA_VERSION };
+};
+
+const read = async () => {
+  const raw = await AsyncStorage.getItem(STORAGE_KEY);
+  if (raw == null) return { alarms: [], migrated: false };
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new AlarmStorageError("Stored alarms could not be read.", { code: 'corrupt', raw });
+  }
+  let result;
+  try {
+    result = migrate(data);
+  } catch (e) {
+    e.raw = raw;
+    throw e;
+  }
+
+  const validAlarms = result.alarms.filter(alarm => !validateAlarm(alarm));
+  const damaged = result.alarms.length - validAlarms.length;
+  if (damaged > 0) {
+    throw new AlarmStorageError(`${damaged} stored alarm${damaged === 1 ? " is" : "s are"} damaged.`, { code: 'invalid', raw, validAlarms });
+  }
+  return result;
+};
+
+const write = async (alarms) => {
+  alarms.forEach(alarm => {
+    const problem = validateAlarm(alarm);
+    if (problem) {
+      throw new AlarmStorageError(`Refusing to save alarm "${alarm?.name}": ${problem}`, { code: 'invalid-write', alarmName: alarm?.name ?? null, problem });
+    }
+  });
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, alarms }));
+};
+
+// Unreadable trips are dropped rather than blocking the alarms - a trip is easy to set up again
+const readTrips = async () => {
+  try {
+    const json = await AsyncStorage.getItem(TRIPS_KEY);
+    return json != null ? JSON.parse(json) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+let queue = Promise.resolve();
+
+// Chains a task after every earlier read-modify-write; a failure is passed to the caller but doesn't block the queue
+const enqueue = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+export const load = () => enqueue(async () => (await read()).alarms);
+
+export const loadTrips = () => enqueue(readTrips);
+
+// Like update(), but mutate(alarms, trips) returns { alarms, trips, events } - trips may be left out when they
+// don't change. mutate should only compute - events describe what the change sets off (ringing, notifications,
+// logging) and reach the caller only once the write succeeded.
+// Resolves to { alarms, trips, events } with what is now stored.
+export const updateWithEvents = (mutate) => enqueue(async () => {
+  const { alarms, migrated } = await read();
+  const trips = await readTrips();
+  const result = await mutate(alarms, trips);
+  if (result.alarms !== alarms || migrated) await write(result.alarms);
+  if (result.trips && result.trips !== trips) await AsyncStorage.setItem(TRIPS_KEY, JSON.stringify(result.trips));
+  return { trips, events: [], ...result };
+});
+
+// mutate(alarms) returns the new list (may be async). Returning the same array skips the write.
+// Resolves to the list that is now stored.
+export const update = async (mutate) => (await updateWithEvents(async (alarms) => ({ alarms: await mutate(alarms), events: [] }))).alarms;
+
+// Keeps what can be kept after a failed load. The unreadable data is copied aside first.
+export const recover = (error) => enqueue(async () => {
+  if (error.raw != null) await AsyncStorage.setItem(BACKUP_KEY, error.raw);
+  await write(error.validAlarms);
+  return error.validAlarms;
+});
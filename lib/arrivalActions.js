@@ -0,0 +1,224 @@
+// --- ARRIVAL ACTIONS: Extra things an alarm does when it triggers ---
+// alarm.actions = [{ id, type: 'webhook', url } | { id, type: 'message', template }]
+// Triggers add one job per action to a stored queue so they survive being offline or the app being killed.
+// Webhooks are sent from wherever flushActionQueue() runs (background task included) and retried with backoff.
+// Messages need the share sheet, so they wait (up to MAX_JOB_AGE_MS) until the app is in the foreground - see takeWaitingMessage().
+// job = { id, actionId, alarmId, type, url, body, attempts, nextAttemptAt, createdAt }
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { t } from './i18n.js';
+
+const QUEUE_KEY = '@arrival_action_queue';
+const STATUS_KEY = '@arrival_action_status';
+
+const MAX_ATTEMPTS = 8;
+const FIRST_RETRY_MS = 30 * 1000; // doubles every attempt, capped at MAX_RETRY_MS
+const MAX_RETRY_MS = 30 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const MAX_JOB_AGE_MS = 24 * 60 * 60 * 1000; // an "I've arrived" from yesterday is worse than none
+
+export const ACTION_TYPES = {
+  webhook: { labelKey: 'actions.webhook', icon: '🌐' },
+  message: { labelKey: 'actions.message', icon: '💬' },
+};
+
+// In the current language; the placeholders stay the same in every language
+export const getDefaultMessageTemplate = () => t('actions.defaultTemplate');
+
+// status = { state: 'queued' | 'retrying' | 'waiting' | 'sent' | 'failed', at, attempts, error }
+// error is a translation key for our own failures, or the server's text ("HTTP 503")
+export const ACTION_STATUS_LABELS = {
+  queued: 'actions.status.queued',
+  retrying: 'actions.status.retrying',
+  waiting: 'actions.status.waiting',
+  sent: 'actions.status.sent',
+  failed: 'actions.status.failed',
+};
+
+export const isValidWebhookUrl = (url) => /^https?:\/\/[^\s/]+/i.test((url || '').trim());
+
+// {name} {lat} {lng} {time} {map} {trigger}
+export const renderTemplate = (template, alarm, coords, timestamp) => {
+  const latitude = coords?.latitude ?? alarm.latitude;
+  const longitude = coords?.longitude ?? alarm.longitude;
+  const values = {
+    name: alarm.name,
+    lat: latitude.toFixed(6),
+    lng: longitude.toFixed(6),
+    time: new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+    map: `https://maps.google.com/?q=${latitude.toFixed(6)},${longitude.toFixed(6)}`,
+    trigger: t(alarm.triggeredBy === 'exit' ? 'actions.triggerLeft' : 'actions.triggerArrived'),
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+};
+
+export const buildWebhookBody = (alarm, coords, timestamp) => ({
+  event: alarm.triggeredBy === 'exit' ? 'alarm.exited' : 'alarm.arrived',
+  triggeredAt: new Date(timestamp).toISOString(),
+  alarm: {
+    id: alarm.id,
+    name: alarm.name,
+    latitude: alarm.latitude,
+    longitude: alarm.longitude,
+    radius: alarm.radius,
+    shape: alarm.shape || 'circle',
+  },
+  location: coords ? { latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy ?? null } : null,
+});
+
+const getRetryDelay = (attempts) => Math.min(MAX_RETRY_MS, FIRST_RETRY_MS * 2 ** (attempts - 1));
+
+// --- STORAGE ---
+const readJson = async (key, fallback) => {
+  try {
+    const json = await AsyncStorage.getItem(key);
+    return json != null ? JSON.parse(json) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+export const loadActionStatus = () => readJson(STATUS_KEY, {});
+
+// Queue and status changes run one after another, like the history log, so the background task
+// and the app can't overwrite each other's jobs
+let writeQueue = Promise.resolve();
+
+const withQueue = (task) => {
+  const run = writeQueue.then(async () => {
+    const queue = await readJson(QUEUE_KEY, []);
+    const status = await readJson(STATUS_KEY, {});
+    const result = await task(queue, status);
+    await AsyncStorage.multiSet([[QUEUE_KEY, JSON.stringify(result.queue)], [STATUS_KEY, JSON.stringify(result.status)]]);
+    return result.value;
+  });
+  writeQueue = run.catch((e) => console.log("Error updating arrival actions:", e));
+  return run;
+};
+
+// Statuses of actions that no longer exist are dropped so the map doesn't grow forever
+export const pruneActionStatus = (alarms) => withQueue(async (queue, status) => {
+  const actionIds = new Set(alarms.flatMap(a => (a.actions || []).map(action => action.id)));
+  const kept = Object.fromEntries(Object.entries(status).filter(([id]) => actionIds.has(id)));
+  return { queue: queue.filter(job => actionIds.has(job.actionId)), status: kept };
+});
+
+// --- QUEUE ---
+// Called once per trigger. Doesn't send anything itself - follow with flushActionQueue().
+export const enqueueArrivalActions = (alarm, { coords = null, timestamp = Date.now() } = {}) => {
+  const actions = alarm.actions || [];
+  if (actions.length === 0) return Promise.resolve();
+  return withQueue(async (queue, status) => {
+    const jobs = actions.map(action => ({
+      id: `${timestamp}-${action.id}`,
+      actionId: action.id,
+      alarmId: alarm.id,
+      type: action.type,
+      url: action.type === 'webhook' ? action.url.trim() : null,
+      body: action.type === 'webhook'
+        ? buildWebhookBody(alarm, coords, timestamp)
+        : renderTemplate(action.template || getDefaultMessageTemplate(), alarm, coords, timestamp),
+      attempts: 0,
+      nextAttemptAt: timestamp,
+      createdAt: timestamp,
+    }));
+    const updatedStatus = { ...status };
+    jobs.forEach(job => {
+      updatedStatus[job.actionId] = { state: job.type === 'message' ? 'waiting' : 'queued', at: timestamp, attempts: 0, error: null };
+    });
+    return { queue: [...queue, ...jobs], status: updatedStatus };
+  });
+};
+
+const postWebhook = async (job) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(job.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...job.body, attempt: job.attempts + 1 }),
+      signal: controller.signal,
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// The location task and the app's timer both flush; one pass at a time so a job isn't posted twice
+let isFlushing = false;
+
+// Sends every webhook job that is due. Requests go out outside the storage queue so a slow server
+// doesn't hold up new triggers; each result is written back as it arrives. Resolves to the number attempted.
+export const flushActionQueue = async (now = Date.now()) => {
+  if (isFlushing) return 0;
+  isFlushing = true;
+  try {
+    return await flushDueJobs(now);
+  } finally {
+    isFlushing = false;
+  }
+};
+
+const flushDueJobs = async (now) => {
+  const due = (await readJson(QUEUE_KEY, [])).filter(job => job.type === 'webhook' && job.nextAttemptAt <= now);
+  for (const job of due) {
+    let error = null;
+    if (now - job.createdAt > MAX_JOB_AGE_MS) {
+      error = 'actions.error.tooOld';
+    } else {
+      try {
+        await postWebhook(job);
+      } catch (e) {
+        error = e.name === 'AbortError' ? 'actions.error.timeout' : e.message || String(e);
+      }
+    }
+    await withQueue(async (queue, status) => {
+      // The action was removed while the request was out
+      if (!queue.some(j => j.id === job.id)) return { queue, status };
+      const attempts = job.attempts + 1;
+      const giveUp = error && (attempts >= MAX_ATTEMPTS || now - job.createdAt > MAX_JOB_AGE_MS);
+      const remaining = queue.filter(j => j.id !== job.id);
+      const updatedStatus = {
+        ...status,
+        [job.actionId]: { state: !error ? 'sent' : giveUp ? 'failed' : 'retrying', at: Date.now(), attempts, error },
+      };
+      if (!error || giveUp) return { queue: remaining, status: updatedStatus };
+      const retry = { ...job, attempts, nextAttemptAt: Date.now() + getRetryDelay(attempts) };
+      return { queue: [...remaining, retry], status: updatedStatus };
+    });
+  }
+  return due.length;
+};
+
+const isExpiredMessage = (job, now) => job.type === 'message' && now - job.createdAt > MAX_JOB_AGE_MS;
+
+// Messages past MAX_JOB_AGE_MS are dropped and marked failed rather than opening the share sheet days later
+const expireMessages = (now) => withQueue(async (queue, status) => {
+  const expired = queue.filter(job => isExpiredMessage(job, now));
+  if (expired.length === 0) return { queue, status };
+  const updatedStatus = { ...status };
+  expired.forEach(job => {
+    updatedStatus[job.actionId] = { state: 'failed', at: now, attempts: job.attempts, error: 'actions.error.tooOld' };
+  });
+  return { queue: queue.filter(job => !expired.includes(job)), status: updatedStatus };
+});
+
+// The oldest message job waiting for the share sheet, or null. Call finishMessage() once it has been shown.
+export const takeWaitingMessage = async (now = Date.now()) => {
+  let queue = await readJson(QUEUE_KEY, []);
+  if (queue.some(job => isExpiredMessage(job, now))) {
+    await expireMessages(now);
+    queue = await readJson(QUEUE_KEY, []);
+  }
+  return queue.find(job => job.type === 'message') || null;
+};
+
+// shared=false means the user closed the share sheet without sending it
+export const finishMessage = (job, shared) => withQueue(async (queue, status) => ({
+  queue: queue.filter(j => j.id !== job.id),
+  status: {
+    ...status,
+    [job.actionId]: { state: shared ? 'sent' : 'failed', at: Date.now(), attempts: 1, error: shared ? null : 'actions.error.notSent' },
+  },
+}));
@@ -0,0 +1,155 @@
+// --- GEOCODE CACHE: Reverse geocoding that survives being offline ---
+// Addresses are cached by coordinates rounded to ~11 m, so re-tapping a stop or re-opening an alarm
+// needs no network. Lookups that fail (usually no connection) are queued and retried by
+// retryPendingLookups(); alarms saved with a placeholder name are renamed from the cache afterwards.
+// The cache keeps the address fields, not the formatted name, so changing the format needs no new lookups.
+import * as Location from 'expo-location';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CACHE_KEY = '@geocode_cache';
+const PENDING_KEY = '@geocode_pending';
+const ADDRESS_FORMAT_KEY = '@address_format';
+
+const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // stale entries are still used when the lookup fails
+const MAX_CACHE_ENTRIES = 300;
+const MAX_PENDING = 50;
+const RETRY_INTERVAL_MS = 60 * 1000;
+const KEY_DECIMALS = 4;
+
+// Parts of the name, in the order they're joined: "Place name, city, state, pin"
+export const ADDRESS_PARTS = [
+  { value: 'place', labelKey: 'address.place' },
+  { value: 'city', labelKey: 'address.city' },
+  { value: 'state', labelKey: 'address.state' },
+  { value: 'pin', labelKey: 'address.pin' },
+];
+export const DEFAULT_ADDRESS_FORMAT = ['place', 'city', 'state', 'pin'];
+
+const getCacheKey = (latitude, longitude) => `${latitude.toFixed(KEY_DECIMALS)},${longitude.toFixed(KEY_DECIMALS)}`;
+
+const readJson = async (key, fallback) => {
+  try {
+    const json = await AsyncStorage.getItem(key);
+    return json != null ? JSON.parse(json) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+export const loadAddressFormat = async () => {
+  const format = await readJson(ADDRESS_FORMAT_KEY, DEFAULT_ADDRESS_FORMAT);
+  return Array.isArray(format) && format.length > 0 ? format : DEFAULT_ADDRESS_FORMAT;
+};
+
+export const saveAddressFormat = async (format) => {
+  await AsyncStorage.setItem(ADDRESS_FORMAT_KEY, JSON.stringify(format));
+};
+
+// Only the fields formatAddress reads are kept
+const pickAddress = (address) => ({
+  name: address.name || null,
+  street: address.street || null,
+  subThoroughfare: address.subThoroughfare || null,
+  city: address.city || null,
+  subAdministrativeArea: address.subAdministrativeArea || null,
+  region: address.region || null,
+  administrativeArea: address.administrativeArea || null,
+  postalCode: address.postalCode || null,
+});
+
+// address = a reverseGeocodeAsync result, or null for a place with no address (open sea, wilderness)
+export const formatAddress = (address, format = DEFAULT_ADDRESS_FORMAT) => {
+  if (!address) return null;
+  const values = {
+    place: address.name || address.street || address.subThoroughfare,
+    city: address.city || address.subAdministrativeArea,
+    state: address.region || address.administrativeArea,
+    pin: address.postalCode,
+  };
+  const parts = ADDRESS_PARTS.filter(p => format.includes(p.value)).map(p => values[p.value]).filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+// Reads and writes of the cache and pending list run one after another
+let writeQueue = Promise.resolve();
+
+const withStorage = (task) => {
+  const run = writeQueue.then(async () => {
+    const cache = await readJson(CACHE_KEY, {});
+    const pending = await readJson(PENDING_KEY, []);
+    const result = await task(cache, pending);
+    await AsyncStorage.multiSet([[CACHE_KEY, JSON.stringify(result.cache)], [PENDING_KEY, JSON.stringify(result.pending)]]);
+  });
+  writeQueue = run.catch((e) => console.log("Error updating geocode cache:", e));
+  return writeQueue;
+};
+
+// Oldest entries go first once the cache is full
+const trimCache = (cache) => {
+  const keys = Object.keys(cache);
+  if (keys.length <= MAX_CACHE_ENTRIES) return cache;
+  const kept = keys.sort((a, b) => cache[b].at - cache[a].at).slice(0, MAX_CACHE_ENTRIES);
+  return Object.fromEntries(kept.map(key => [key, cache[key]]));
+};
+
+const remember = (key, address) => withStorage(async (cache, pending) => ({
+  cache: trimCache({ ...cache, [key]: { address, at: Date.now() } }),
+  pending: pending.filter(p => p.key !== key),
+}));
+
+const queueLookup = (key, latitude, longitude) => withStorage(async (cache, pending) => ({
+  cache,
+  pending: pending.some(p => p.key === key) ? pending : [...pending, { key, latitude, longitude }].slice(-MAX_PENDING),
+}));
+
+// Resolves to the address, null when there is none, or undefined when the lookup failed
+const lookup = async (latitude, longitude) => {
+  try {
+    const results = await Location.reverseGeocodeAsync({ latitude, longitude });
+    return results && results.length > 0 ? pickAddress(results[0]) : null;
+  } catch (error) {
+    console.log("Reverse geocoding error:", error);
+    return undefined;
+  }
+};
+
+// Name for a map position in the chosen address format. A fresh cache entry is used without a lookup;
+// when the lookup fails a stale entry still beats nothing. Resolves to null if no name is known yet.
+export const getLocationName = async (latitude, longitude) => {
+  const key = getCacheKey(latitude, longitude);
+  const format = await loadAddressFormat();
+  const cached = (await readJson(CACHE_KEY, {}))[key];
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return formatAddress(cached.address, format);
+
+  const address = await lookup(latitude, longitude);
+  if (address === undefined) {
+    if (!cached) await queueLookup(key, latitude, longitude);
+    return cached ? formatAddress(cached.address, format) : null;
+  }
+  await remember(key, address);
+  return formatAddress(address, format);
+};
+
+// Cache only - never touches the network
+export const getCachedLocationName = async (latitude, longitude) => {
+  const cached = (await readJson(CACHE_KEY, {}))[getCacheKey(latitude, longitude)];
+  return cached ? formatAddress(cached.address, await loadAddressFormat()) : null;
+};
+
+let lastRetryAt = 0;
+
+// Retries queued lookups, at most once per RETRY_INTERVAL_MS. Stops at the first failure - we're
+// probably still offline. Resolves to how many were resolved.
+export const retryPendingLookups = async () => {
+  if (Date.now() - lastRetryAt < RETRY_INTERVAL_MS) return 0;
+  lastRetryAt = Date.now();
+  const pending = await readJson(PENDING_KEY, []);
+  let resolved = 0;
+  for (const item of pending) {
+    const address = await lookup(item.latitude, item.longitude);
+    if (address === undefined) break;
+    await remember(item.key, address);
+    resolved++;
+  }
+  return resolved;
+};
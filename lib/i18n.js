@@ -0,0 +1,77 @@
+// --- I18N: Translated UI strings ---
+// t('key', { name: 'Home' }) looks the key up in the current language, falling back to English and then
+// to the key itself. {param} placeholders are filled from params; a numeric `count` param picks the
+// `key_one` / `key_other` form. Tables live in ./locales - keep the keys of every language in step with en.js.
+// The language is module state so the background tasks can call t() too - they run loadLanguage() first.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+
+const LANGUAGE_KEY = '@language';
+
+const TRANSLATIONS = { en, hi };
+
+// 'auto' follows the phone's language, falling back to English
+export const LANGUAGES = [
+  { value: 'auto', labelKey: 'language.auto' },
+  { value: 'en', label: 'English' },
+  { value: 'hi', label: 'हिन्दी' },
+];
+
+// Hindi uses the singular for 0 and 1
+const PLURAL_RULES = {
+  en: (count) => count === 1,
+  hi: (count) => count === 0 || count === 1,
+};
+
+let currentLanguage = 'en';
+
+// e.g. 'en-US', 'hi-IN'. Hermes and Node both have Intl.DateTimeFormat.
+export const getDeviceLocale = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale || 'en';
+  } catch (e) {
+    return 'en';
+  }
+};
+
+export const resolveLanguage = (preference) => {
+  if (TRANSLATIONS[preference]) return preference;
+  const deviceLanguage = getDeviceLocale().split('-')[0].toLowerCase();
+  return TRANSLATIONS[deviceLanguage] ? deviceLanguage : 'en';
+};
+
+export const getLanguage = () => currentLanguage;
+
+export const setLanguage = (preference) => {
+  currentLanguage = resolveLanguage(preference);
+  return currentLanguage;
+};
+
+// Resolves to the saved preference ('auto', 'en' or 'hi') and makes it current
+export const loadLanguage = async () => {
+  let preference = 'auto';
+  try {
+    preference = (await AsyncStorage.getItem(LANGUAGE_KEY)) || 'auto';
+  } catch (e) {
+    console.log("Error loading language:", e);
+  }
+  setLanguage(preference);
+  return preference;
+};
+
+export const saveLanguage = async (preference) => {
+  setLanguage(preference);
+  await AsyncStorage.setItem(LANGUAGE_KEY, preference);
+};
+
+export const t = (key, params = {}) => {
+  const table = TRANSLATIONS[currentLanguage];
+  let text;
+  if (typeof params.count === 'number') {
+    const form = PLURAL_RULES[currentLanguage](params.count) ? 'one' : 'other';
+    text = table[`${key}_${form}`] ?? en[`${key}_${PLURAL_RULES.en(params.count) ? 'one' : 'other'}`];
+  }
+  text = text ?? table[key] ?? en[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match).toString());
+};
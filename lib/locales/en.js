@@ -0,0 +1,412 @@
+// English strings - the reference table. Every key used with t() must be here; other languages fall back to it.
+// Plural keys come in pairs: key_one / key_other, picked by the `count` param.
+export default {
+  // Common
+  'common.error': "Error",
+  'common.cancel': "Cancel",
+  'common.delete': "Delete",
+  'common.notNow': "Not Now",
+  'common.all': "All",
+  'common.away': "{distance} away",
+
+  // Sound
+  'tone.classic': "Classic",
+  'tone.beep': "Beep",
+  'tone.chime': "Chime",
+  'tone.custom': "From device",
+  'tone.none': "Vibrate only",
+  'vibration.standard': "Standard",
+  'vibration.pulse': "Pulse",
+  'vibration.long': "Long",
+  'vibration.none': "None",
+  'channel.alarmProfile': "Alarm - {tone}, {vibration} vibration",
+
+  // Alarm summary
+  'area.radius': "Radius: {distance}",
+  'area.polygon': "Area: {count}-point shape",
+  'trigger.enter': "Arrive",
+  'trigger.exit': "Leave",
+  'trigger.both': "Both",
+  'trigger.etaBefore': "{minutes} min before",
+  'mode.radius': "Radius",
+  'mode.eta': "Time (ETA)",
+
+  // Schedules
+  'day.sun': "Sun",
+  'day.mon': "Mon",
+  'day.tue': "Tue",
+  'day.wed': "Wed",
+  'day.thu': "Thu",
+  'day.fri': "Fri",
+  'day.sat': "Sat",
+  'schedule.everyDay': "Every day",
+  'schedule.weekdays': "Mon–Fri",
+  'schedule.weekends': "Weekends",
+  'schedule.allDay': "all day",
+  'schedule.from': "from {date}",
+  'schedule.until': "until {date}",
+  'schedule.today': "today {time}",
+  'schedule.tomorrow': "tomorrow {time}",
+
+  // Durations
+  'eta.underMinute': "<1 min",
+  'eta.minutes': "{minutes} min",
+  'eta.hours': "{hours}h {minutes}m",
+
+  // Alarm notifications
+  'notification.arrivalTitle': "🚨 ARRIVAL ALERT!",
+  'notification.departureTitle': "🚨 DEPARTURE ALERT!",
+  'notification.arrivalBody': "Arrived at {name}. Tap \"Stop Alarm\" to dismiss.",
+  'notification.departureBody': "Left {name}. Tap \"Stop Alarm\" to dismiss.",
+  'notification.snoozedTitle': "😴 Alarm snoozed",
+  'notification.snoozedBody': "{name} rings again at {time} if you're still there.",
+  'notification.snoozeOverTitle': "🚨 Snooze over",
+  'notification.snoozeOverBody': "{name} - tap \"Stop Alarm\" to dismiss.",
+
+  // Background tracking
+  'tier.close': "Close",
+  'tier.near': "Near",
+  'tier.approaching': "Approaching",
+  'tier.far': "Far",
+  'tier.seconds': "{seconds} s",
+  'tier.interval': "every {interval} or {distance}",
+  'engine.gps': "Continuous GPS",
+  'engine.geofence': "OS Geofencing",
+  'service.title': "GPS Alarm Active",
+  'service.body': "Monitoring location in background...",
+  'service.toGo': "{distance} to go",
+  'service.othersArmed_one': "{count} more alarm armed",
+  'service.othersArmed_other': "{count} more alarms armed",
+  'notification.stopButton': "✅ Stop Alarm",
+  'notification.snoozeButton': "😴 Snooze",
+  'notification.windowTitle': "⏰ Alarm window starting",
+  'notification.windowBody': "{name} is armed now. Open the app to resume location monitoring.",
+  'notification.gpsOffTitle': "⚠️ GPS Disabled",
+  'notification.gpsOffBody': "Alarms paused.",
+  'channel.default': "Alarm Channel V2",
+  'channel.status': "Nearest alarm",
+  'permissions.location': "Location permission required.",
+
+  // Alarm storage
+  'storage.saveFailed': "Couldn't save your alarms. Please try again.",
+  'storage.cantSave': "Couldn't Save",
+  'storage.cantLoad': "Can't Load Alarms",
+  'storage.newerVersion': "Alarms were saved by a newer version of the app. Update the app to see them.",
+  'storage.damagedTitle': "Alarm Data Damaged",
+  'storage.corrupt': "Stored alarms could not be read. The original data will be kept as a backup.",
+  'storage.invalid': "Some stored alarms are damaged. The original data will be kept as a backup.",
+  'storage.keepValid_one': "Keep {count} alarm",
+  'storage.keepValid_other': "Keep {count} alarms",
+  'storage.reset': "Reset Alarms",
+  'storage.repairFailed': "Couldn't repair the alarm data.",
+  'storage.invalidWrite': "Alarm \"{name}\" wasn't saved: {problem}.",
+  'storage.problem.notObject': "it isn't an alarm",
+  'storage.problem.id': "it has no id",
+  'storage.problem.name': "it has no name",
+  'storage.problem.coordinates': "its coordinates are invalid",
+  'storage.problem.radius': "its radius is invalid",
+  'storage.problem.shape': "its shape is unknown",
+  'storage.problem.polygon': "its area outline is invalid",
+  'storage.problem.active': "it has no on/off state",
+
+  // Editing alarms
+  'map.tapTitle': "Tap Map",
+  'map.tapDestination': "Please tap a destination on the map first.",
+  'alarm.placeholderName': "Alarm #{number}",
+  'schedule.invalidTitle': "Invalid Schedule",
+  'schedule.noDays': "Pick at least one day.",
+  'schedule.badTime': "Times must be in 24-hour HH:MM format, e.g. 07:30.",
+  'schedule.badStartDate': "Start date must be YYYY-MM-DD.",
+  'schedule.badEndDate': "End date must be YYYY-MM-DD.",
+  'schedule.endBeforeStart': "End date is before the start date.",
+  'sound.noFileTitle': "No Sound File",
+  'sound.noFileBody': "Choose a sound file or pick another tone.",
+  'sound.pickFailed': "Couldn't use that sound file.",
+  'draw.title': "Draw Area",
+  'draw.tooFewPoints': "Tap at least 3 points on the map.",
+
+  // Arrival actions
+  'actions.webhook': "Webhook",
+  'actions.message': "Message",
+  'actions.defaultTemplate': "I've arrived at {name} ({time}). {map}",
+  'actions.triggerArrived': "arrived at",
+  'actions.triggerLeft': "left",
+  'actions.status.queued': "Sending…",
+  'actions.status.retrying': "Retrying",
+  'actions.status.waiting': "Waiting for the app",
+  'actions.status.sent': "Delivered",
+  'actions.status.failed': "Failed",
+  'actions.error.tooOld': "Gave up - too old",
+  'actions.error.timeout': "Timed out",
+  'actions.error.notSent': "Not sent",
+  'actions.notRun': "Not run yet",
+  'actions.attempt': "(attempt {attempt})",
+  'actions.invalidWebhookTitle': "Invalid Webhook",
+  'actions.invalidWebhookBody': "Webhook URLs must start with http:// or https://",
+
+  // Trips
+  'trip.title': "Trip",
+  'trip.defaultName': "Trip #{number}",
+  'trip.tooFewStops': "Pick at least 2 stops in the order you'll reach them.",
+  'trip.finished': "Finished",
+  'trip.stopCount_one': "{count} stop",
+  'trip.stopCount_other': "{count} stops",
+  'trip.progress': "Stop {number} of {total}: {name}",
+  'trip.end': "End",
+  'trip.start': "Start",
+  'trip.returnTrip': "⇄ Return trip",
+
+  // Groups
+  'group.title': "Group",
+  'group.noName': "Give the group a name.",
+  'group.saveFailed': "Couldn't save the group.",
+  'group.deleteFailed': "Couldn't delete the group.",
+  'group.deleteTitle': "Delete Group",
+  'group.deleteBody': "Delete \"{name}\"? Its alarms are kept.",
+
+  // Places
+  'place.tapMap': "Drop a pin on the map to save it as a place.",
+  'place.defaultName': "Place #{number}",
+  'place.saveFailed': "Couldn't save the place.",
+  'place.deleteFailed': "Couldn't delete the place.",
+  'place.showFailed': "Couldn't save whether places show on the map.",
+  'place.updateAlarmsTitle': "Update Alarms?",
+  'place.updateAlarmsBody_one': "{count} alarm was created from {name}. Update it to match?",
+  'place.updateAlarmsBody_other': "{count} alarms were created from {name}. Update them to match?",
+  'place.keepAsIs': "Keep As Is",
+  'place.update': "Update",
+  'place.deleteTitle': "Delete Place",
+  'place.deleteBody': "Delete {name}? Alarms created from it are kept.",
+  'place.radius': "{distance} radius",
+  'place.alarmCount_one': "{count} alarm",
+  'place.alarmCount_other': "{count} alarms",
+  'place.setAlarm': "⏰ Set alarm",
+
+  // Import & export
+  'export.title': "Export",
+  'export.noneSelected': "Select at least one alarm.",
+  'export.dialogTitle': "Export alarms",
+  'export.failed': "Couldn't export the alarms.",
+  'export.documentName': "GPS Alarms",
+  'import.title': "Import",
+  'import.empty': "No places found in that file.",
+  'import.failedTitle': "Import Failed",
+  'import.unreadable': "Couldn't read that file.",
+  'import.unsupported': "Unsupported file - expected GPX, KML or GeoJSON.",
+  'import.defaultName': "Imported alarm",
+  'import.done_one': "Imported {count} alarm. Switch it on when you need it.",
+  'import.done_other': "Imported {count} alarms. Switch them on when you need them.",
+
+  // Track replay
+  'replay.title': "Replay",
+  'replay.failedTitle': "Replay Failed",
+  'replay.unreadable': "Couldn't read that track.",
+  'replay.noPoints': "No track points found - expected a GPX track or a JSON list of fixes.",
+  'replay.finished': "Reached the end of the track.",
+
+  // Alarm list
+  'alarm.expired': "Expired",
+  'alarm.nextArmed': "Next armed {time}",
+  'alarm.ringing': "RINGING!",
+  'alarm.ringingLeft': "LEFT - RINGING!",
+  'alarm.snoozedUntil': "😴 Snoozed until {time}",
+  'alarm.stop': "Stop",
+  'alarm.snooze': "Snooze",
+  'alarm.active': "Active",
+  'alarm.off': "Off",
+  'alarm.repeats': "Repeats",
+  'alarm.rearms': "re-arms {condition} or at {time}",
+  'alarm.rearmInside': "when back inside",
+  'alarm.rearmEta': "when over {minutes} min away",
+  'alarm.toBoundary': "{distance} to boundary",
+  'trip.stopOf': "stop {number} of {total}",
+
+  // Links
+  'link.invalidTitle': "Invalid Link",
+  'link.invalidBody': "This alarm link doesn't contain a valid location.",
+  'link.notFoundTitle': "Alarm Not Found",
+  'link.notFoundBody': "That alarm doesn't exist on this phone. It may have been deleted.",
+
+  // Map screen
+  'gps.disabledWarning': "⚠️ GPS is Disabled! Alarms won't work.",
+  'gps.accuracy': "GPS Accuracy",
+  'gps.latitude': "LAT: {value}",
+  'gps.longitude': "LNG: {value}",
+  'place.calloutHint': "Tap to set an alarm here",
+  'replay.simulatedPosition': "Simulated position",
+  'replay.progress': "▶ Replaying track • fix {number}/{total}",
+  'search.placeholder': "Search address or place",
+  'search.searching': "Searching...",
+  'search.noResults': "No places found.",
+  'search.recent': "Recent",
+  'draw.hint': "Tap to add points • drag to adjust",
+  'draw.undo': "Undo",
+  'draw.close': "Close shape ({count})",
+
+  // Edit panel
+  'edit.newTitle': "New Alarm",
+  'edit.editTitle': "Edit Alarm",
+  'edit.namePlaceholder': "Alarm Name",
+  'group.none': "None",
+  'edit.polygonHint': "Drag the orange points on the map to adjust it.",
+  'edit.circleHint': "Drag the orange pin to move the alarm, or the handle on the circle's edge to resize it.",
+  'edit.alarmType': "Alarm type",
+  'edit.etaLabel': "Ring {minutes} min before I reach the boundary",
+  'edit.ringWhen': "Ring when I",
+  'sound.title': "Sound",
+  'sound.preview': "▶ Preview",
+  'sound.stopPreview': "■ Stop",
+  'sound.volume': "Volume: {percent}%",
+  'sound.fadeIn': "Fade in: {duration}",
+  'sound.vibration': "Vibration",
+  'edit.repeat': "Repeat (stay armed after stopping)",
+  'edit.rearmDistance': "Re-arm after moving {distance} away",
+  'edit.rearmEta': "Re-arm once I'm over {minutes} min away again",
+  'edit.rearmCooldown': "...or after {minutes} min",
+  'schedule.toggle': "Only on a schedule",
+  'day.sun.initial': "S",
+  'day.mon.initial': "M",
+  'day.tue.initial': "T",
+  'day.wed.initial': "W",
+  'day.thu.initial': "T",
+  'day.fri.initial': "F",
+  'day.sat.initial': "S",
+  'schedule.to': "to",
+  'schedule.addRange': "+ Add time range (none = all day)",
+  'schedule.startPlaceholder': "Start YYYY-MM-DD",
+  'schedule.endPlaceholder': "End YYYY-MM-DD",
+  'actions.title': "When it rings, also",
+  'actions.webhookHint': "POSTs the alarm and location as JSON, retried until it gets through.",
+  'actions.messageHint': "Opens the share sheet. Use {name}, {time}, {lat}, {lng}, {map}.",
+  'actions.lastRun': "Last run: {status}",
+  'edit.viewHistory': "🕘 View this alarm's history",
+  'edit.save': "Save Alarm",
+
+  // Places panel
+  'place.listTitle': "Saved Places",
+  'place.newTitle': "New Place",
+  'place.editTitle': "Edit Place",
+  'place.savePin': "+ Save Pin",
+  'place.tapToAdd': "Tap map to add",
+  'place.showOnMap': "Show on map",
+  'place.namePlaceholder': "Place Name",
+  'place.defaultRadius': "Default radius: {distance}",
+  'place.moveToPin': "📍 Move to the dropped pin",
+  'place.save': "Save Place",
+  'place.empty': "Drop a pin on a place you go often and save it here.",
+  'nav.backToAlarms': "← Alarms",
+
+  // Trips panel
+  'trip.listTitle': "Trips",
+  'trip.newTitle': "New Trip",
+  'trip.editTitle': "Edit Trip",
+  'trip.add': "+ New Trip",
+  'trip.namePlaceholder': "Trip Name",
+  'trip.pickStops': "Tap stops in the order you'll reach them",
+  'trip.save': "Save Trip",
+  'trip.empty': "Create a trip from alarms you've already set, one per stop.",
+
+  // Alarm list panel
+  'list.title': "Your Alarms",
+  'list.setAlarm': "+ Set Alarm",
+  'list.tapToCreate': "Tap map to create",
+  'list.drawArea': "⬠ Draw area",
+  'list.places': "⭐ Places",
+  'list.trips': "🧭 Trips",
+  'list.history': "🕘 History",
+  'list.sortByDistance': "Sort by distance",
+  'group.onCount': "{count} of {total} on",
+  'group.enableAll': "Enable all",
+  'group.disableAll': "Disable all",
+
+  // Settings
+  'settings.title': "Settings",
+  'settings.background': "Run in Background",
+  'settings.backgroundDescription': "Keep the app running in the background even when closed. This allows alarms to work when the app is not open.",
+  'settings.backgroundOn': "ℹ️ Background mode is enabled. The app will continue monitoring your location and trigger alarms even when closed.",
+  'settings.backgroundOff': "⚠️ Background mode is disabled. Alarms will only work when the app is open.",
+  'settings.tracking': "Tracking",
+  'settings.geofenceDescription_one': "The system watches {count} alarm area and wakes the app on arrival or departure. Drawn areas, ETA alarms and anything past the first {max} still use GPS.",
+  'settings.geofenceDescription_other': "The system watches {count} alarm areas and wakes the app on arrival or departure. Drawn areas, ETA alarms and anything past the first {max} still use GPS.",
+  'settings.tierDescription': "Location updates slow down when you're far from every alarm and speed up as you approach, to save battery.",
+  'settings.gpsIdle': "GPS is off - no armed alarm needs it right now.",
+  'settings.notTracking': "Not tracking - no alarms are armed right now.",
+  'settings.triggerAccuracy': "Trigger Accuracy",
+  'settings.maxAccuracy': "Ignore fixes worse than {distance}",
+  'settings.maxAccuracyDescription': "GPS fixes with a larger error are dropped. The remaining error circle must be fully on one side of the boundary.",
+  'settings.requiredFixes_one': "Confirm after {count} fix",
+  'settings.requiredFixes_other': "Confirm after {count} fixes",
+  'settings.requiredFixesDescription': "Consecutive fixes needed on the new side of the boundary before the alarm rings.",
+  'settings.minDwell': "...or after {seconds} s",
+  'settings.minDwellDescription': "Time spent on the new side that also confirms the crossing, even with fewer fixes.",
+  'settings.placeNames': "Place Names",
+  'settings.addressFormat': "Name new alarms with",
+  'settings.addressFormatDescription': "Used when you drop a pin. Without a connection the alarm is named \"Alarm #N\" and renamed once the address can be looked up.",
+  'address.place': "Place",
+  'address.city': "City",
+  'address.state': "State",
+  'address.pin': "PIN",
+  'settings.snoozeFor': "Snooze for {minutes} min",
+  'settings.snoozeDescription': "A snoozed alarm rings again after this long if you're still inside the area.",
+  'settings.display': "Units & Language",
+  'settings.units': "Distances",
+  'settings.unitsDescription': "Automatic uses miles and feet in the US and metres and kilometres elsewhere.",
+  'units.auto': "Automatic",
+  'units.metric': "km / m",
+  'units.imperial': "mi / ft",
+  'units.meters': "{value} m",
+  'units.kilometers': "{value} km",
+  'units.feet': "{value} ft",
+  'units.miles': "{value} mi",
+  'units.meterUnit': "m",
+  'units.footUnit': "ft",
+  'settings.language': "Language",
+  'language.auto': "Phone language",
+  'settings.data': "Data",
+  'settings.import': "⬇ Import alarms",
+  'settings.export': "⬆ Export alarms",
+  'settings.dataDescription': "GPX waypoints, KML placemarks or GeoJSON.",
+  'settings.developer': "Developer",
+  'settings.replay': "▶ Replay GPS track",
+  'settings.replayDescription': "Plays a GPX track or JSON list of fixes through your alarms instead of real GPS, so you can test them without travelling. Alarms ring and are logged as they would on a real trip.",
+
+  // Ringing screen
+  'ringing.arrived': "You've arrived",
+  'ringing.left': "You left the area",
+  'ringing.elapsed': "ringing for {time}",
+  'ringing.snooze': "Snooze {minutes} min",
+  'ringing.stopAll': "Stop all {count}",
+
+  // Group, export & import modals
+  'group.newTitle': "New Group",
+  'group.editTitle': "Edit Group",
+  'group.namePlaceholder': "Group name, e.g. Commute",
+  'group.save': "Save Group",
+  'export.modalTitle': "Export Alarms",
+  'export.share_one': "Share {count} alarm",
+  'export.share_other': "Share {count} alarms",
+  'import.modalTitle': "Import Alarms",
+  'import.description': "Places already in your alarms are unticked. Imported alarms start switched off.",
+  'import.duplicate': "Duplicate",
+  'import.confirm': "Import {count}",
+
+  // History screen
+  'history.title': "Alarm History",
+  'history.trigger': "Triggered",
+  'history.snooze': "Snoozed",
+  'history.stop': "Stopped",
+  'history.source.foreground': "Foreground watcher",
+  'history.source.background': "Background task",
+  'history.source.geofence': "OS geofence",
+  'history.source.app': "App",
+  'history.source.notification': "Notification",
+  'history.source.snooze': "Snooze ended",
+  'history.source.simulation': "Track replay",
+  'history.unknownSource': "Unknown source",
+  'history.noFix': "No location fix",
+  'history.empty': "No events logged yet.",
+  'history.clearTitle': "Clear History",
+  'history.clearMessage': "Delete every logged event?",
+  'history.clear': "Clear",
+  'history.clearButton': "Clear history",
+};
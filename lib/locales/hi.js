@@ -0,0 +1,412 @@
+// Hindi strings. Same keys as en.js; a missing key shows the English text.
+// Hindi uses the _one form for 0 and 1 (see PLURAL_RULES in ../i18n.js).
+export default {
+  // Common
+  'common.error': "त्रुटि",
+  'common.cancel': "रद्द करें",
+  'common.delete': "हटाएँ",
+  'common.notNow': "अभी नहीं",
+  'common.all': "सभी",
+  'common.away': "{distance} दूर",
+
+  // Sound
+  'tone.classic': "क्लासिक",
+  'tone.beep': "बीप",
+  'tone.chime': "घंटी",
+  'tone.custom': "डिवाइस से",
+  'tone.none': "केवल कंपन",
+  'vibration.standard': "सामान्य",
+  'vibration.pulse': "पल्स",
+  'vibration.long': "लंबा",
+  'vibration.none': "कोई नहीं",
+  'channel.alarmProfile': "अलार्म - {tone}, {vibration} कंपन",
+
+  // Alarm summary
+  'area.radius': "दायरा: {distance}",
+  'area.polygon': "क्षेत्र: {count} बिंदुओं का आकार",
+  'trigger.enter': "पहुँचने पर",
+  'trigger.exit': "निकलने पर",
+  'trigger.both': "दोनों",
+  'trigger.etaBefore': "{minutes} मिनट पहले",
+  'mode.radius': "दायरा",
+  'mode.eta': "समय (ETA)",
+
+  // Schedules
+  'day.sun': "रवि",
+  'day.mon': "सोम",
+  'day.tue': "मंगल",
+  'day.wed': "बुध",
+  'day.thu': "गुरु",
+  'day.fri': "शुक्र",
+  'day.sat': "शनि",
+  'schedule.everyDay': "हर दिन",
+  'schedule.weekdays': "सोम–शुक्र",
+  'schedule.weekends': "सप्ताहांत",
+  'schedule.allDay': "पूरे दिन",
+  'schedule.from': "{date} से",
+  'schedule.until': "{date} तक",
+  'schedule.today': "आज {time}",
+  'schedule.tomorrow': "कल {time}",
+
+  // Durations
+  'eta.underMinute': "<1 मिनट",
+  'eta.minutes': "{minutes} मिनट",
+  'eta.hours': "{hours} घं {minutes} मि",
+
+  // Alarm notifications
+  'notification.arrivalTitle': "🚨 पहुँचने की सूचना!",
+  'notification.departureTitle': "🚨 निकलने की सूचना!",
+  'notification.arrivalBody': "{name} पहुँच गए। बंद करने के लिए \"अलार्म बंद करें\" दबाएँ।",
+  'notification.departureBody': "{name} से निकल गए। बंद करने के लिए \"अलार्म बंद करें\" दबाएँ।",
+  'notification.snoozedTitle': "😴 अलार्म स्नूज़ हुआ",
+  'notification.snoozedBody': "अगर आप तब भी वहीं हैं तो {name} {time} पर फिर बजेगा।",
+  'notification.snoozeOverTitle': "🚨 स्नूज़ खत्म",
+  'notification.snoozeOverBody': "{name} - बंद करने के लिए \"अलार्म बंद करें\" दबाएँ।",
+
+  // Background tracking
+  'tier.close': "बहुत पास",
+  'tier.near': "पास",
+  'tier.approaching': "पहुँच रहे हैं",
+  'tier.far': "दूर",
+  'tier.seconds': "{seconds} सेकंड",
+  'tier.interval': "हर {interval} या {distance}",
+  'engine.gps': "लगातार GPS",
+  'engine.geofence': "OS जियोफ़ेंसिंग",
+  'service.title': "GPS अलार्म चालू",
+  'service.body': "बैकग्राउंड में लोकेशन देखी जा रही है...",
+  'service.toGo': "{distance} बाकी",
+  'service.othersArmed_one': "{count} और अलार्म चालू",
+  'service.othersArmed_other': "{count} और अलार्म चालू",
+  'notification.stopButton': "✅ अलार्म बंद करें",
+  'notification.snoozeButton': "😴 स्नूज़",
+  'notification.windowTitle': "⏰ अलार्म का समय शुरू",
+  'notification.windowBody': "{name} अब चालू है। लोकेशन देखना फिर शुरू करने के लिए ऐप खोलें।",
+  'notification.gpsOffTitle': "⚠️ GPS बंद है",
+  'notification.gpsOffBody': "अलार्म रुके हुए हैं।",
+  'channel.default': "अलार्म चैनल V2",
+  'channel.status': "सबसे पास का अलार्म",
+  'permissions.location': "लोकेशन की अनुमति ज़रूरी है।",
+
+  // Alarm storage
+  'storage.saveFailed': "आपके अलार्म सहेजे नहीं जा सके। कृपया फिर कोशिश करें।",
+  'storage.cantSave': "सहेजा नहीं जा सका",
+  'storage.cantLoad': "अलार्म लोड नहीं हो सके",
+  'storage.newerVersion': "अलार्म ऐप के नए संस्करण से सहेजे गए थे। उन्हें देखने के लिए ऐप अपडेट करें।",
+  'storage.damagedTitle': "अलार्म डेटा खराब है",
+  'storage.corrupt': "सहेजे गए अलार्म पढ़े नहीं जा सके। मूल डेटा बैकअप के रूप में रखा जाएगा।",
+  'storage.invalid': "कुछ सहेजे गए अलार्म खराब हैं। मूल डेटा बैकअप के रूप में रखा जाएगा।",
+  'storage.keepValid_one': "{count} अलार्म रखें",
+  'storage.keepValid_other': "{count} अलार्म रखें",
+  'storage.reset': "अलार्म रीसेट करें",
+  'storage.repairFailed': "अलार्म डेटा ठीक नहीं हो सका।",
+  'storage.invalidWrite': "अलार्म \"{name}\" सहेजा नहीं गया: {problem}।",
+  'storage.problem.notObject': "यह अलार्म नहीं है",
+  'storage.problem.id': "इसकी कोई आईडी नहीं है",
+  'storage.problem.name': "इसका कोई नाम नहीं है",
+  'storage.problem.coordinates': "इसके निर्देशांक गलत हैं",
+  'storage.problem.radius': "इसका दायरा गलत है",
+  'storage.problem.shape': "इसका आकार अज्ञात है",
+  'storage.problem.polygon': "इसके क्षेत्र की सीमा गलत है",
+  'storage.problem.active': "इसकी चालू/बंद स्थिति नहीं है",
+
+  // Editing alarms
+  'map.tapTitle': "मैप पर टैप करें",
+  'map.tapDestination': "कृपया पहले मैप पर मंज़िल टैप करें।",
+  'alarm.placeholderName': "अलार्म #{number}",
+  'schedule.invalidTitle': "गलत शेड्यूल",
+  'schedule.noDays': "कम से कम एक दिन चुनें।",
+  'schedule.badTime': "समय 24-घंटे के HH:MM प्रारूप में हो, जैसे 07:30।",
+  'schedule.badStartDate': "शुरू की तारीख YYYY-MM-DD हो।",
+  'schedule.badEndDate': "अंत की तारीख YYYY-MM-DD हो।",
+  'schedule.endBeforeStart': "अंत की तारीख शुरू की तारीख से पहले है।",
+  'sound.noFileTitle': "कोई साउंड फ़ाइल नहीं",
+  'sound.noFileBody': "साउंड फ़ाइल चुनें या कोई और टोन चुनें।",
+  'sound.pickFailed': "वह साउंड फ़ाइल इस्तेमाल नहीं हो सकी।",
+  'draw.title': "क्षेत्र बनाएँ",
+  'draw.tooFewPoints': "मैप पर कम से कम 3 बिंदु टैप करें।",
+
+  // Arrival actions
+  'actions.webhook': "वेबहुक",
+  'actions.message': "संदेश",
+  'actions.defaultTemplate': "मैं {name} पहुँच गया/गई ({time})। {map}",
+  'actions.triggerArrived': "पहुँचे",
+  'actions.triggerLeft': "निकले",
+  'actions.status.queued': "भेजा जा रहा है…",
+  'actions.status.retrying': "फिर कोशिश हो रही है",
+  'actions.status.waiting': "ऐप का इंतज़ार",
+  'actions.status.sent': "पहुँच गया",
+  'actions.status.failed': "विफल",
+  'actions.error.tooOld': "छोड़ दिया - बहुत पुराना",
+  'actions.error.timeout': "समय खत्म",
+  'actions.error.notSent': "नहीं भेजा",
+  'actions.notRun': "अभी तक नहीं चला",
+  'actions.attempt': "(प्रयास {attempt})",
+  'actions.invalidWebhookTitle': "गलत वेबहुक",
+  'actions.invalidWebhookBody': "वेबहुक URL http:// या https:// से शुरू होना चाहिए",
+
+  // Trips
+  'trip.title': "यात्रा",
+  'trip.defaultName': "यात्रा #{number}",
+  'trip.tooFewStops': "कम से कम 2 स्टॉप उसी क्रम में चुनें जिसमें आप वहाँ पहुँचेंगे।",
+  'trip.finished': "पूरी हुई",
+  'trip.stopCount_one': "{count} स्टॉप",
+  'trip.stopCount_other': "{count} स्टॉप",
+  'trip.progress': "स्टॉप {number} / {total}: {name}",
+  'trip.end': "खत्म करें",
+  'trip.start': "शुरू करें",
+  'trip.returnTrip': "⇄ वापसी यात्रा",
+
+  // Groups
+  'group.title': "समूह",
+  'group.noName': "समूह को एक नाम दें।",
+  'group.saveFailed': "समूह सहेजा नहीं जा सका।",
+  'group.deleteFailed': "समूह हटाया नहीं जा सका।",
+  'group.deleteTitle': "समूह हटाएँ",
+  'group.deleteBody': "\"{name}\" हटाएँ? इसके अलार्म बने रहेंगे।",
+
+  // Places
+  'place.tapMap': "जगह के रूप में सहेजने के लिए मैप पर पिन लगाएँ।",
+  'place.defaultName': "जगह #{number}",
+  'place.saveFailed': "जगह सहेजी नहीं जा सकी।",
+  'place.deleteFailed': "जगह हटाई नहीं जा सकी।",
+  'place.showFailed': "मैप पर जगहें दिखाने की सेटिंग सहेजी नहीं जा सकी।",
+  'place.updateAlarmsTitle': "अलार्म अपडेट करें?",
+  'place.updateAlarmsBody_one': "{name} से {count} अलार्म बना था। क्या उसे भी बदलें?",
+  'place.updateAlarmsBody_other': "{name} से {count} अलार्म बने थे। क्या उन्हें भी बदलें?",
+  'place.keepAsIs': "जैसा है रहने दें",
+  'place.update': "अपडेट करें",
+  'place.deleteTitle': "जगह हटाएँ",
+  'place.deleteBody': "{name} हटाएँ? इससे बने अलार्म बने रहेंगे।",
+  'place.radius': "{distance} दायरा",
+  'place.alarmCount_one': "{count} अलार्म",
+  'place.alarmCount_other': "{count} अलार्म",
+  'place.setAlarm': "⏰ अलार्म लगाएँ",
+
+  // Import & export
+  'export.title': "निर्यात",
+  'export.noneSelected': "कम से कम एक अलार्म चुनें।",
+  'export.dialogTitle': "अलार्म निर्यात करें",
+  'export.failed': "अलार्म निर्यात नहीं हो सके।",
+  'export.documentName': "GPS अलार्म",
+  'import.title': "आयात",
+  'import.empty': "उस फ़ाइल में कोई जगह नहीं मिली।",
+  'import.failedTitle': "आयात विफल",
+  'import.unreadable': "वह फ़ाइल पढ़ी नहीं जा सकी।",
+  'import.unsupported': "यह फ़ाइल समर्थित नहीं है - GPX, KML या GeoJSON चाहिए।",
+  'import.defaultName': "आयात किया गया अलार्म",
+  'import.done_one': "{count} अलार्म आयात हुआ। ज़रूरत हो तब उसे चालू करें।",
+  'import.done_other': "{count} अलार्म आयात हुए। ज़रूरत हो तब उन्हें चालू करें।",
+
+  // Track replay
+  'replay.title': "रीप्ले",
+  'replay.failedTitle': "रीप्ले विफल",
+  'replay.unreadable': "वह ट्रैक पढ़ा नहीं जा सका।",
+  'replay.noPoints': "कोई ट्रैक पॉइंट नहीं मिला - GPX ट्रैक या फ़िक्स की JSON सूची चाहिए।",
+  'replay.finished': "ट्रैक खत्म हो गया।",
+
+  // Alarm list
+  'alarm.expired': "समाप्त",
+  'alarm.nextArmed': "अगली बार चालू {time}",
+  'alarm.ringing': "बज रहा है!",
+  'alarm.ringingLeft': "निकल गए - बज रहा है!",
+  'alarm.snoozedUntil': "😴 {time} तक स्नूज़",
+  'alarm.stop': "बंद करें",
+  'alarm.snooze': "स्नूज़",
+  'alarm.active': "चालू",
+  'alarm.off': "बंद",
+  'alarm.repeats': "दोहराता है",
+  'alarm.rearms': "{condition} या {time} पर फिर चालू",
+  'alarm.rearmInside': "अंदर लौटने पर",
+  'alarm.rearmEta': "{minutes} मिनट से ज़्यादा दूर होने पर",
+  'alarm.toBoundary': "सीमा तक {distance}",
+  'trip.stopOf': "स्टॉप {number} / {total}",
+
+  // Links
+  'link.invalidTitle': "गलत लिंक",
+  'link.invalidBody': "इस अलार्म लिंक में सही लोकेशन नहीं है।",
+  'link.notFoundTitle': "अलार्म नहीं मिला",
+  'link.notFoundBody': "वह अलार्म इस फ़ोन पर नहीं है। शायद उसे हटा दिया गया है।",
+
+  // Map screen
+  'gps.disabledWarning': "⚠️ GPS बंद है! अलार्म काम नहीं करेंगे।",
+  'gps.accuracy': "GPS सटीकता",
+  'gps.latitude': "अक्षांश: {value}",
+  'gps.longitude': "देशांतर: {value}",
+  'place.calloutHint': "यहाँ अलार्म लगाने के लिए टैप करें",
+  'replay.simulatedPosition': "नकली स्थिति",
+  'replay.progress': "▶ ट्रैक रीप्ले • फ़िक्स {number}/{total}",
+  'search.placeholder': "पता या जगह खोजें",
+  'search.searching': "खोज रहे हैं...",
+  'search.noResults': "कोई जगह नहीं मिली।",
+  'search.recent': "हाल की",
+  'draw.hint': "बिंदु जोड़ने के लिए टैप करें • बदलने के लिए खींचें",
+  'draw.undo': "वापस लें",
+  'draw.close': "आकार बंद करें ({count})",
+
+  // Edit panel
+  'edit.newTitle': "नया अलार्म",
+  'edit.editTitle': "अलार्म बदलें",
+  'edit.namePlaceholder': "अलार्म का नाम",
+  'group.none': "कोई नहीं",
+  'edit.polygonHint': "बदलने के लिए मैप पर नारंगी बिंदु खींचें।",
+  'edit.circleHint': "अलार्म की जगह बदलने के लिए नारंगी पिन खींचें, या आकार बदलने के लिए घेरे के किनारे का हैंडल।",
+  'edit.alarmType': "अलार्म का प्रकार",
+  'edit.etaLabel': "सीमा तक पहुँचने से {minutes} मिनट पहले बजे",
+  'edit.ringWhen': "कब बजे",
+  'sound.title': "आवाज़",
+  'sound.preview': "▶ सुनें",
+  'sound.stopPreview': "■ रोकें",
+  'sound.volume': "आवाज़: {percent}%",
+  'sound.fadeIn': "धीरे-धीरे तेज़: {duration}",
+  'sound.vibration': "कंपन",
+  'edit.repeat': "दोहराएँ (बंद करने के बाद भी चालू रहे)",
+  'edit.rearmDistance': "{distance} दूर जाने पर फिर चालू हो",
+  'edit.rearmEta': "फिर से {minutes} मिनट से ज़्यादा दूर होने पर दोबारा चालू हो",
+  'edit.rearmCooldown': "...या {minutes} मिनट बाद",
+  'schedule.toggle': "केवल शेड्यूल पर",
+  'day.sun.initial': "र",
+  'day.mon.initial': "सो",
+  'day.tue.initial': "मं",
+  'day.wed.initial': "बु",
+  'day.thu.initial': "गु",
+  'day.fri.initial': "शु",
+  'day.sat.initial': "श",
+  'schedule.to': "से",
+  'schedule.addRange': "+ समय सीमा जोड़ें (कोई नहीं = पूरे दिन)",
+  'schedule.startPlaceholder': "शुरू YYYY-MM-DD",
+  'schedule.endPlaceholder': "अंत YYYY-MM-DD",
+  'actions.title': "बजने पर यह भी करें",
+  'actions.webhookHint': "अलार्म और लोकेशन JSON में POST करता है, पहुँचने तक दोबारा कोशिश करता है।",
+  'actions.messageHint': "शेयर शीट खोलता है। {name}, {time}, {lat}, {lng}, {map} इस्तेमाल करें।",
+  'actions.lastRun': "पिछली बार: {status}",
+  'edit.viewHistory': "🕘 इस अलार्म का इतिहास देखें",
+  'edit.save': "अलार्म सहेजें",
+
+  // Places panel
+  'place.listTitle': "सहेजी गई जगहें",
+  'place.newTitle': "नई जगह",
+  'place.editTitle': "जगह बदलें",
+  'place.savePin': "+ पिन सहेजें",
+  'place.tapToAdd': "जोड़ने के लिए मैप टैप करें",
+  'place.showOnMap': "मैप पर दिखाएँ",
+  'place.namePlaceholder': "जगह का नाम",
+  'place.defaultRadius': "डिफ़ॉल्ट दायरा: {distance}",
+  'place.moveToPin': "📍 लगाए गए पिन पर ले जाएँ",
+  'place.save': "जगह सहेजें",
+  'place.empty': "जहाँ आप अक्सर जाते हैं वहाँ पिन लगाएँ और उसे यहाँ सहेजें।",
+  'nav.backToAlarms': "← अलार्म",
+
+  // Trips panel
+  'trip.listTitle': "यात्राएँ",
+  'trip.newTitle': "नई यात्रा",
+  'trip.editTitle': "यात्रा बदलें",
+  'trip.add': "+ नई यात्रा",
+  'trip.namePlaceholder': "यात्रा का नाम",
+  'trip.pickStops': "स्टॉप उसी क्रम में टैप करें जिसमें आप वहाँ पहुँचेंगे",
+  'trip.save': "यात्रा सहेजें",
+  'trip.empty': "पहले से लगे अलार्म से यात्रा बनाएँ, हर स्टॉप के लिए एक।",
+
+  // Alarm list panel
+  'list.title': "आपके अलार्म",
+  'list.setAlarm': "+ अलार्म लगाएँ",
+  'list.tapToCreate': "बनाने के लिए मैप टैप करें",
+  'list.drawArea': "⬠ क्षेत्र बनाएँ",
+  'list.places': "⭐ जगहें",
+  'list.trips': "🧭 यात्राएँ",
+  'list.history': "🕘 इतिहास",
+  'list.sortByDistance': "दूरी के अनुसार",
+  'group.onCount': "{total} में से {count} चालू",
+  'group.enableAll': "सभी चालू करें",
+  'group.disableAll': "सभी बंद करें",
+
+  // Settings
+  'settings.title': "सेटिंग्स",
+  'settings.background': "बैकग्राउंड में चलाएँ",
+  'settings.backgroundDescription': "ऐप बंद होने पर भी उसे बैकग्राउंड में चलाए रखें। इससे ऐप खुला न होने पर भी अलार्म काम करते हैं।",
+  'settings.backgroundOn': "ℹ️ बैकग्राउंड मोड चालू है। ऐप बंद होने पर भी आपकी लोकेशन देखता रहेगा और अलार्म बजाएगा।",
+  'settings.backgroundOff': "⚠️ बैकग्राउंड मोड बंद है। अलार्म केवल ऐप खुला होने पर काम करेंगे।",
+  'settings.tracking': "ट्रैकिंग",
+  'settings.geofenceDescription_one': "सिस्टम {count} अलार्म क्षेत्र पर नज़र रखता है और पहुँचने या निकलने पर ऐप को जगाता है। बनाए गए क्षेत्र, ETA अलार्म और पहले {max} के बाद वाले अलार्म GPS ही इस्तेमाल करते हैं।",
+  'settings.geofenceDescription_other': "सिस्टम {count} अलार्म क्षेत्रों पर नज़र रखता है और पहुँचने या निकलने पर ऐप को जगाता है। बनाए गए क्षेत्र, ETA अलार्म और पहले {max} के बाद वाले अलार्म GPS ही इस्तेमाल करते हैं।",
+  'settings.tierDescription': "बैटरी बचाने के लिए, हर अलार्म से दूर होने पर लोकेशन अपडेट धीमे हो जाते हैं और पास आने पर तेज़।",
+  'settings.gpsIdle': "GPS बंद है - अभी किसी चालू अलार्म को इसकी ज़रूरत नहीं।",
+  'settings.notTracking': "ट्रैकिंग बंद - अभी कोई अलार्म चालू नहीं है।",
+  'settings.triggerAccuracy': "ट्रिगर सटीकता",
+  'settings.maxAccuracy': "{distance} से खराब फ़िक्स अनदेखा करें",
+  'settings.maxAccuracyDescription': "इससे ज़्यादा त्रुटि वाले GPS फ़िक्स छोड़ दिए जाते हैं। बाकी त्रुटि का घेरा सीमा के एक ही तरफ़ पूरा होना चाहिए।",
+  'settings.requiredFixes_one': "{count} फ़िक्स के बाद पक्का करें",
+  'settings.requiredFixes_other': "{count} फ़िक्स के बाद पक्का करें",
+  'settings.requiredFixesDescription': "अलार्म बजने से पहले सीमा की नई तरफ़ लगातार इतने फ़िक्स चाहिए।",
+  'settings.minDwell': "...या {seconds} सेकंड बाद",
+  'settings.minDwellDescription': "नई तरफ़ इतना समय बिताना भी सीमा पार करना पक्का करता है, चाहे फ़िक्स कम हों।",
+  'settings.placeNames': "जगहों के नाम",
+  'settings.addressFormat': "नए अलार्म का नाम इससे रखें",
+  'settings.addressFormatDescription': "पिन लगाने पर इस्तेमाल होता है। कनेक्शन न होने पर अलार्म का नाम \"अलार्म #N\" रखा जाता है और पता मिलने पर बदल दिया जाता है।",
+  'address.place': "जगह",
+  'address.city': "शहर",
+  'address.state': "राज्य",
+  'address.pin': "पिन",
+  'settings.snoozeFor': "{minutes} मिनट के लिए स्नूज़",
+  'settings.snoozeDescription': "अगर आप तब भी क्षेत्र के अंदर हैं तो स्नूज़ किया गया अलार्म इतनी देर बाद फिर बजता है।",
+  'settings.display': "इकाइयाँ और भाषा",
+  'settings.units': "दूरी",
+  'settings.unitsDescription': "अपने-आप में अमेरिका में मील और फ़ुट, बाकी जगह मीटर और किलोमीटर इस्तेमाल होते हैं।",
+  'units.auto': "अपने-आप",
+  'units.metric': "किमी / मी",
+  'units.imperial': "मील / फ़ुट",
+  'units.meters': "{value} मी",
+  'units.kilometers': "{value} किमी",
+  'units.feet': "{value} फ़ुट",
+  'units.miles': "{value} मील",
+  'units.meterUnit': "मी",
+  'units.footUnit': "फ़ुट",
+  'settings.language': "भाषा",
+  'language.auto': "फ़ोन की भाषा",
+  'settings.data': "डेटा",
+  'settings.import': "⬇ अलार्म आयात करें",
+  'settings.export': "⬆ अलार्म निर्यात करें",
+  'settings.dataDescription': "GPX वेपॉइंट, KML प्लेसमार्क या GeoJSON।",
+  'settings.developer': "डेवलपर",
+  'settings.replay': "▶ GPS ट्रैक रीप्ले करें",
+  'settings.replayDescription': "असली GPS की जगह GPX ट्रैक या फ़िक्स की JSON सूची आपके अलार्म पर चलाता है, ताकि आप यात्रा किए बिना उन्हें जाँच सकें। अलार्म असली यात्रा की तरह बजते और दर्ज होते हैं।",
+
+  // Ringing screen
+  'ringing.arrived': "आप पहुँच गए",
+  'ringing.left': "आप क्षेत्र से निकल गए",
+  'ringing.elapsed': "{time} से बज रहा है",
+  'ringing.snooze': "{minutes} मिनट स्नूज़",
+  'ringing.stopAll': "सभी {count} बंद करें",
+
+  // Group, export & import modals
+  'group.newTitle': "नया समूह",
+  'group.editTitle': "समूह बदलें",
+  'group.namePlaceholder': "समूह का नाम, जैसे ऑफ़िस आना-जाना",
+  'group.save': "समूह सहेजें",
+  'export.modalTitle': "अलार्म निर्यात करें",
+  'export.share_one': "{count} अलार्म शेयर करें",
+  'export.share_other': "{count} अलार्म शेयर करें",
+  'import.modalTitle': "अलार्म आयात करें",
+  'import.description': "जो जगहें पहले से आपके अलार्म में हैं उन पर निशान नहीं लगा है। आयात किए गए अलार्म बंद रहते हैं।",
+  'import.duplicate': "दोहराव",
+  'import.confirm': "{count} आयात करें",
+
+  // History screen
+  'history.title': "अलार्म इतिहास",
+  'history.trigger': "बजा",
+  'history.snooze': "स्नूज़ हुआ",
+  'history.stop': "बंद हुआ",
+  'history.source.foreground': "फ़ोरग्राउंड वॉचर",
+  'history.source.background': "बैकग्राउंड टास्क",
+  'history.source.geofence': "OS जियोफ़ेंस",
+  'history.source.app': "ऐप",
+  'history.source.notification': "सूचना",
+  'history.source.snooze': "स्नूज़ खत्म",
+  'history.source.simulation': "ट्रैक रीप्ले",
+  'history.unknownSource': "अज्ञात स्रोत",
+  'history.noFix': "कोई लोकेशन फ़िक्स नहीं",
+  'history.empty': "अभी तक कुछ दर्ज नहीं हुआ।",
+  'history.clearTitle': "इतिहास साफ़ करें",
+  'history.clearMessage': "सभी दर्ज घटनाएँ हटाएँ?",
+  'history.clear': "साफ़ करें",
+  'history.clearButton': "इतिहास साफ़ करें",
+};
@@ -0,0 +1,163 @@
+// --- TRACK REPLAY: Feed a recorded GPS track through the trigger logic ---
+// parseTrack() reads GPX tracks or JSON fix lists, createTrackPlayer() replays them in the app,
+// simulateTrack() runs them headless (Node) through the same engine functions checkAlarms uses.
+// fix = { latitude, longitude, accuracy, speed, heading, timestamp (ms) }
+import { findElements, getAttribute, getChildText, toNumber, isValidCoordinate } from './alarmFormats.js';
+import { DEFAULT_TRIGGER_SETTINGS, isFixAccurate, appendFix, getMotion, getSideForFix, evaluateAlarms } from './triggerEngine.js';
+
+export const REPLAY_SPEEDS = [1, 5, 20, 60];
+const UNTIMED_FIX_INTERVAL_MS = 5000; // spacing for tracks recorded without timestamps
+
+const toTimestamp = (value) => {
+  if (value == null) return null;
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value; // seconds or milliseconds
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+// Fixes without a time are spaced evenly after the previous one
+const finishTrack = (fixes) => {
+  let previous = null;
+  return fixes.map((fix, i) => {
+    const timestamp = fix.timestamp ?? (previous != null ? previous + UNTIMED_FIX_INTERVAL_MS : i * UNTIMED_FIX_INTERVAL_MS);
+    previous = timestamp;
+    return { ...fix, timestamp };
+  }).sort((a, b) => a.timestamp - b.timestamp);
+};
+
+const parseGpxTrack = (xml) => {
+  // Track points, falling back to route points for files that only have a route
+  const points = findElements(xml, 'trkpt');
+  return (points.length > 0 ? points : findElements(xml, 'rtept')).map(({ attrs, body }) => {
+    const latitude = toNumber(getAttribute(attrs, 'lat'));
+    const longitude = toNumber(getAttribute(attrs, 'lon'));
+    if (!isValidCoordinate(latitude, longitude)) return null;
+    // GPX has no accuracy field - hdop is close enough when present (roughly metres for phone GPS)
+    const hdop = toNumber(getChildText(body, 'hdop'));
+    return {
+      latitude,
+      longitude,
+      accuracy: hdop != null ? hdop * 5 : null,
+      speed: toNumber(getChildText(body, 'speed')),
+      heading: toNumber(getChildText(body, 'course')),
+      timestamp: toTimestamp(getChildText(body, 'time')),
+    };
+  }).filter(Boolean);
+};
+
+const parseJsonTrack = (text) => {
+  const json = JSON.parse(text);
+  const list = Array.isArray(json) ? json : json.fixes || json.locations || [];
+  return list.map(item => {
+    // Accept plain fixes as well as expo-location objects ({ coords, timestamp })
+    const fix = item.coords ? { ...item.coords, timestamp: item.timestamp } : item;
+    const latitude = toNumber(fix.latitude ?? fix.lat);
+    const longitude = toNumber(fix.longitude ?? fix.lon ?? fix.lng);
+    if (!isValidCoordinate(latitude, longitude)) return null;
+    return {
+      latitude,
+      longitude,
+      accuracy: toNumber(fix.accuracy),
+      speed: toNumber(fix.speed),
+      heading: toNumber(fix.heading),
+      timestamp: toTimestamp(fix.timestamp ?? fix.time),
+    };
+  }).filter(Boolean);
+};
+
+export const parseTrack = (text, fileName = '') => {
+  const isJson = /\.json$/i.test(fileName) || text.trimStart().startsWith('[') || text.trimStart().startsWith('{');
+  const fixes = isJson ? parseJsonTrack(text) : parseGpxTrack(text);
+  if (fixes.length === 0) {
+    // key is for the app to translate; the message is what the Node scripts print
+    throw Object.assign(new Error('No track points found - expected a GPX track or a JSON list of fixes.'), { key: 'replay.noPoints' });
+  }
+  return finishTrack(fixes);
+};
+
+// Replays fixes in real time divided by speed. onFix(fix, index) gets the fix re-timed so the track
+// starts now; timestamps keep their original spacing so debounce dwell times and speeds stay true.
+export const createTrackPlayer = (fixes, { speed = 1, onFix, onDone }) => {
+  const offset = Date.now() - fixes[0].timestamp;
+  let index = 0;
+  let timer = null;
+  let stopped = false;
+
+  const playNext = () => {
+    if (stopped) return;
+    if (index >= fixes.length) {
+      stopped = true;
+      if (onDone) onDone();
+      return;
+    }
+    const fix = fixes[index];
+    onFix({ ...fix, timestamp: fix.timestamp + offset }, index);
+    index++;
+    const next = fixes[index];
+    timer = setTimeout(playNext, next ? (next.timestamp - fix.timestamp) / speed : 0);
+  };
+  playNext();
+
+  return {
+    setSpeed: (value) => { speed = value; },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+// Alarm records from a fixture or an export ({ version, alarms } or a bare list) with the fields the engine
+// expects filled in. Alarms are treated as switched on unless they say "active": false.
+export const toReplayAlarms = (stored) => (Array.isArray(stored) ? stored : stored.alarms).map(alarm => ({
+  shape: 'circle',
+  triggerType: 'enter',
+  mode: 'radius',
+  triggered: false,
+  wasInside: null,
+  ...alarm,
+  id: String(alarm.id),
+  active: alarm.active !== false,
+}));
+
+// expected = [{ alarmId, alarmName?, fixIndex? }] in trigger order. Returns what didn't match, as readable
+// lines - an empty list means the replay did what was expected.
+export const compareTriggerEvents = (expected, events) => {
+  const matches = (want, got) => got &&
+    (want.alarmId == null || String(want.alarmId) === got.alarmId) &&
+    (want.alarmName == null || want.alarmName === got.alarmName) &&
+    (want.fixIndex == null || want.fixIndex === got.fixIndex);
+  const failures = expected
+    .map((want, i) => matches(want, events[i]) ? null : `#${i + 1}: expected ${JSON.stringify(want)}, got ${events[i] ? `${events[i].alarmId} at fix #${events[i].fixIndex}` : 'nothing'}`)
+    .filter(Boolean);
+  if (events.length > expected.length) failures.push(`${events.length - expected.length} unexpected extra trigger(s)`);
+  return failures;
+};
+
+// Headless replay for regression checks. alarms are full alarm records; returns the final alarms and
+// every 'trigger' event in order as { type, alarmId, alarmName, fixIndex, timestamp, latitude, longitude }.
+// Snoozes and stops aren't simulated - a triggered alarm simply stays triggered.
+export const simulateTrack = (alarms, fixes, { settings = DEFAULT_TRIGGER_SETTINGS } = {}) => {
+  let current = alarms;
+  let history = [];
+  const events = [];
+  fixes.forEach((fix, fixIndex) => {
+    if (!isFixAccurate(fix, settings)) return;
+    history = appendFix(history, fix, fix.timestamp);
+    const motion = getMotion(history);
+    const result = evaluateAlarms(current, (alarm) => getSideForFix(fix, alarm, motion), { now: fix.timestamp, settings, coords: fix, motion });
+    current = result.alarms;
+    result.events
+      .filter(e => e.type === 'trigger')
+      .forEach(e => events.push({
+        type: e.type,
+        alarmId: e.alarmId,
+        alarmName: current.find(a => a.id === e.alarmId)?.name,
+        fixIndex,
+        timestamp: fix.timestamp,
+        latitude: fix.latitude,
+        longitude: fix.longitude,
+      }));
+  });
+  return { alarms: current, events };
+};
@@ -0,0 +1,389 @@
+// --- TRIGGER ENGINE: Geometry, schedules, motion and the crossing state machine ---
+// Pure functions only (no React Native or storage imports), so the same trigger logic
+// runs in the app and headless under Node - see scripts/replay-track.mjs.
+
+// --- HELPER: Haversine Distance ---
+export const getDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371e3; 
+  const φ1 = lat1 * (Math.PI / 180);
+  const φ2 = lat2 * (Math.PI / 180);
+  const Δφ = (lat2 - lat1) * (Math.PI / 180);
+  const Δλ = (lon2 - lon1) * (Math.PI / 180);
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; 
+};
+
+// --- HELPER: Initial bearing from point 1 to point 2 (degrees, 0 = north) ---
+export const getBearing = (lat1, lon1, lat2, lon2) => {
+  const φ1 = lat1 * (Math.PI / 180);
+  const φ2 = lat2 * (Math.PI / 180);
+  const Δλ = (lon2 - lon1) * (Math.PI / 180);
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return (Math.atan2(y, x) * (180 / Math.PI) + 360) % 360;
+};
+
+// --- GEOMETRY: Polygon geofences ---
+// alarm.shape = 'circle' (default, uses radius) or 'polygon' (uses alarm.polygon = [{ latitude, longitude }, ...]).
+// Polygon alarms keep latitude/longitude at the vertex centroid for the marker.
+const EARTH_RADIUS = 6371e3;
+
+// Equirectangular projection around `origin` - accurate enough at geofence scale
+const toLocalMeters = (point, origin) => ({
+  x: (point.longitude - origin.longitude) * (Math.PI / 180) * EARTH_RADIUS * Math.cos(origin.latitude * (Math.PI / 180)),
+  y: (point.latitude - origin.latitude) * (Math.PI / 180) * EARTH_RADIUS,
+});
+
+const fromLocalMeters = ({ x, y }, origin) => ({
+  latitude: origin.latitude + (y / EARTH_RADIUS) * (180 / Math.PI),
+  longitude: origin.longitude + (x / (EARTH_RADIUS * Math.cos(origin.latitude * (Math.PI / 180)))) * (180 / Math.PI),
+});
+
+// Ray casting with the point at the origin of the projection
+const isPointInPolygon = (point, polygon) => {
+  const pts = polygon.map(v => toLocalMeters(v, point));
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i];
+    const b = pts[j];
+    if ((a.y > 0) !== (b.y > 0) && (b.x - a.x) * (-a.y) / (b.y - a.y) + a.x > 0) inside = !inside;
+  }
+  return inside;
+};
+
+// Closest point on any polygon edge, and how far away it is (metres)
+const getNearestPolygonEdge = (point, polygon) => {
+  const pts = polygon.map(v => toLocalMeters(v, point));
+  let best = null;
+  let bestDist = Infinity;
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+    const candidate = { x: a.x + t * dx, y: a.y + t * dy };
+    const dist = Math.hypot(candidate.x, candidate.y);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = candidate;
+    }
+  }
+  return { distance: bestDist, nearest: fromLocalMeters(best, point) };
+};
+
+export const getPolygonCentroid = (polygon) => ({
+  latitude: polygon.reduce((sum, v) => sum + v.latitude, 0) / polygon.length,
+  longitude: polygon.reduce((sum, v) => sum + v.longitude, 0) / polygon.length,
+});
+
+// Shoelace formula in square metres
+export const getPolygonArea = (polygon) => {
+  const pts = polygon.map(v => toLocalMeters(v, polygon[0]));
+  let area = 0;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    area += (pts[j].x + pts[i].x) * (pts[j].y - pts[i].y);
+  }
+  return Math.abs(area / 2);
+};
+
+// Signed distance to the geofence edge (positive outside, negative inside) and the nearest edge point
+export const getBoundaryInfo = (coords, alarm) => {
+  if (alarm.shape === 'polygon') {
+    const { distance, nearest } = getNearestPolygonEdge(coords, alarm.polygon);
+    return { signed: isPointInPolygon(coords, alarm.polygon) ? -distance : distance, nearest };
+  }
+  const distToCenter = getDistance(coords.latitude, coords.longitude, alarm.latitude, alarm.longitude);
+  // Heading for the centre is heading for the nearest point of a circle
+  return { signed: distToCenter - alarm.radius, nearest: alarm };
+};
+
+// Radius of a circle with the same area - lets polygon alarms share radius-based tuning
+export const getGeofenceSize = (alarm) => alarm.shape === 'polygon' ? Math.sqrt(getPolygonArea(alarm.polygon) / Math.PI) : alarm.radius;
+
+// Radii a circle alarm can have, in metres. The slider covers the usual 50 m - 5 km; typed radii can go past it.
+export const MIN_RADIUS = 10;
+export const MAX_RADIUS = 50000;
+
+export const clampRadius = (radius) => Math.min(MAX_RADIUS, Math.max(MIN_RADIUS, radius));
+
+// The point `distance` metres due east of `origin` - where the edit screen puts the radius handle
+export const getPointEastOf = (origin, distance) => fromLocalMeters({ x: distance, y: 0 }, origin);
+
+// Older alarms were saved before triggerType existed - they are arrival alarms.
+// ETA alarms can only fire on the way in.
+export const getTriggerType = (alarm) => alarm.mode === 'eta' ? 'enter' : (alarm.triggerType || 'enter');
+
+// --- TRIGGER SETTINGS ---
+export const DEFAULT_TRIGGER_SETTINGS = {
+  maxAccuracy: 50,     // metres - fixes less accurate than this are ignored
+  requiredFixes: 2,    // consecutive fixes on the new side of the boundary...
+  minDwellSeconds: 10, // ...or this long on the new side, whichever comes first
+  snoozeMinutes: 5,
+};
+
+// Poor fixes are dropped entirely - urban canyon jumps usually come with a large accuracy value
+export const isFixAccurate = (coords, settings) => coords.accuracy == null || coords.accuracy <= settings.maxAccuracy;
+
+// Compare the fix's uncertainty circle with the geofence boundary.
+// Returns true (surely inside), false (surely outside) or null when the circle straddles the edge.
+// The margin is capped at half the radius so small geofences can still be entered.
+const getFixSide = (coords, alarm) => {
+  const { signed } = getBoundaryInfo(coords, alarm);
+  const margin = Math.min(coords.accuracy || 0, getGeofenceSize(alarm) / 2);
+  if (signed + margin <= 0) return true;
+  if (signed - margin > 0) return false;
+  return null;
+};
+
+// --- SCHEDULES: Weekly windows & validity dates ---
+// alarm.schedule = { days: [0-6, 0 = Sunday], ranges: [{ start: 'HH:MM', end: 'HH:MM' }] } or null for "always".
+// alarm.startDate / alarm.endDate = 'YYYY-MM-DD' (local) or null. The alarm expires after endDate.
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'HH:MM' -> minutes after midnight, null if invalid
+export const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((value || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+// 'YYYY-MM-DD' -> local midnight Date, null if invalid
+export const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((value || '').trim());
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date : null;
+};
+
+const isWithinDates = (alarm, date) => {
+  const start = parseDate(alarm.startDate);
+  const end = parseDate(alarm.endDate);
+  if (start && date < start) return false;
+  if (end && date.getTime() >= end.getTime() + DAY_MS) return false;
+  return true;
+};
+
+export const isAlarmExpired = (alarm, date = new Date()) => {
+  const end = parseDate(alarm.endDate);
+  return !!end && date.getTime() >= end.getTime() + DAY_MS;
+};
+
+// Windows that open on the given calendar day. Ranges whose end is before their start run past midnight.
+const getWindowsForDay = (alarm, day) => {
+  const { days, ranges } = alarm.schedule;
+  if (!days.includes(day.getDay())) return [];
+  if (ranges.length === 0) {
+    return [{ start: day, end: new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1) }];
+  }
+  return ranges.map(range => {
+    const startMinutes = parseTime(range.start);
+    let endMinutes = parseTime(range.end);
+    if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+    return {
+      start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, startMinutes),
+      end: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, endMinutes),
+    };
+  }).sort((a, b) => a.start - b.start);
+};
+
+// Is the alarm allowed to ring at this moment?
+export const isAlarmInWindow = (alarm, date = new Date()) => {
+  if (!isWithinDates(alarm, date)) return false;
+  if (!alarm.schedule) return true;
+  const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const yesterday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+  return [...getWindowsForDay(alarm, yesterday), ...getWindowsForDay(alarm, today)]
+    .some(w => date >= w.start && date < w.end);
+};
+
+// When the alarm will next be armed (the given date if it already is), null if never again
+export const getNextArmedTime = (alarm, date = new Date()) => {
+  if (isAlarmExpired(alarm, date)) return null;
+  if (isAlarmInWindow(alarm, date)) return date;
+
+  const start = parseDate(alarm.startDate);
+  const from = start && start > date ? start : date;
+  if (!alarm.schedule) return isWithinDates(alarm, from) ? from : null;
+
+  for (let i = 0; i <= 7; i++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + i);
+    const next = getWindowsForDay(alarm, day).find(w => w.start >= from && isWithinDates(alarm, w.start));
+    if (next) return next.start;
+  }
+  return null;
+};
+
+// --- REPEAT: Re-arming recurring alarms after they're stopped ---
+// A stopped repeating alarm stays active but "cools down" (alarm.rearm) until we've moved
+// rearmDistance back past the boundary it crossed, or rearmCooldownMinutes have passed.
+export const DEFAULT_REARM_DISTANCE = 200;
+export const DEFAULT_REARM_COOLDOWN_MINUTES = 30;
+
+// ETA alarms ring well outside their boundary, so distance to it says nothing about having left. They re-arm
+// once the ETA is clearly back above etaMinutes - ETA_REARM_FACTOR times it - or when the cooldown ends.
+export const ETA_REARM_FACTOR = 2;
+
+const hasMovedToRearm = (coords, alarm, motion) => {
+  if (alarm.mode === 'eta') {
+    // No ETA (standing still in traffic, heading elsewhere) doesn't re-arm, or the next start would ring again
+    const eta = getEtaSeconds(coords, alarm, motion);
+    return eta !== null && eta > alarm.etaMinutes * 60 * ETA_REARM_FACTOR;
+  }
+  const { signed } = getBoundaryInfo(coords, alarm);
+  // Departure alarms re-arm as soon as we're back inside the area
+  if (alarm.rearm.crossing === 'exit') return signed <= 0;
+  return signed >= (alarm.rearmDistance || DEFAULT_REARM_DISTANCE);
+};
+
+// --- MOTION: Smoothed speed & heading from the last fixes fed to checkAlarms ---
+const MAX_RECENT_FIXES = 6;
+const RECENT_FIX_WINDOW_MS = 3 * 60 * 1000;
+const MIN_APPROACH_SPEED = 0.5; // m/s - slower than this we're not really heading there
+
+// Adds a fix to the recent history, dropping stale ones. Returns the same array for a duplicate fix.
+export const appendFix = (fixes, coords, timestamp) => {
+  const last = fixes[fixes.length - 1];
+  // Foreground and background often deliver the same fix - keep only one of them
+  if (last && Math.abs(timestamp - last.timestamp) < 1000) return fixes;
+
+  return [
+    ...fixes.filter(f => timestamp - f.timestamp <= RECENT_FIX_WINDOW_MS && f.timestamp < timestamp),
+    { latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy, speed: coords.speed, heading: coords.heading, timestamp },
+  ].slice(-MAX_RECENT_FIXES);
+};
+
+// Returns { speed (m/s), heading (degrees) } or null while we don't have enough data
+export const getMotion = (fixes) => {
+  if (fixes.length < 2) return null;
+  const first = fixes[0];
+  const last = fixes[fixes.length - 1];
+  const seconds = (last.timestamp - first.timestamp) / 1000;
+  if (seconds <= 0) return null;
+
+  // Prefer the speeds reported by the GPS chip, fall back to distance over time
+  const reported = fixes.map(f => f.speed).filter(v => v != null && v >= 0);
+  const displacement = getDistance(first.latitude, first.longitude, last.latitude, last.longitude);
+  const speed = reported.length > 0
+    ? reported.reduce((sum, v) => sum + v, 0) / reported.length
+    : displacement / seconds;
+
+  // Heading over the whole window smooths out GPS wobble; use the chip's heading when we've barely moved
+  let heading = null;
+  if (displacement > 10) {
+    heading = getBearing(first.latitude, first.longitude, last.latitude, last.longitude);
+  } else if (last.heading != null && last.heading >= 0) {
+    heading = last.heading;
+  }
+  if (heading === null) return null;
+  return { speed, heading };
+};
+
+// Seconds until we reach the alarm's boundary at the current pace, 0 if inside, null if not approaching
+export const getEtaSeconds = (coords, alarm, motion) => {
+  const { signed: distToEdge, nearest } = getBoundaryInfo(coords, alarm);
+  if (distToEdge <= 0) return 0;
+  if (!motion) return null;
+
+  const bearingToAlarm = getBearing(coords.latitude, coords.longitude, nearest.latitude, nearest.longitude);
+  const closingSpeed = motion.speed * Math.cos((motion.heading - bearingToAlarm) * (Math.PI / 180));
+  if (closingSpeed < MIN_APPROACH_SPEED) return null;
+  return distToEdge / closingSpeed;
+};
+
+// --- CROSSINGS: Debounced enter/exit detection ---
+// Which side of the alarm's boundary a GPS fix puts us on (see getFixSide).
+// ETA alarms treat "arriving within etaMinutes" as already being inside.
+export const getSideForFix = (coords, alarm, motion) => {
+  const isInside = getFixSide(coords, alarm);
+  if (alarm.mode === 'eta' && isInside !== true) {
+    const eta = getEtaSeconds(coords, alarm, motion);
+    if (eta !== null && eta <= alarm.etaMinutes * 60) return true;
+  }
+  return isInside;
+};
+
+// Moves one alarm forward given the side an update puts us on (null = this update can't tell).
+// Returns { alarm, event } where event is 'trigger' when the alarm should start ringing,
+// 'snooze-over' when a snoozed alarm is due to wake, or null. Sound, notifications and storage are up to the caller.
+// Without coords (OS geofence events) repeating alarms re-arm on the opposite crossing instead of after rearmDistance.
+// motion (see getMotion) is only needed to re-arm ETA alarms.
+export const stepAlarm = (alarm, isInside, { now, settings, coords = null, motion = null, debounce = true }) => {
+  if (!alarm.active) return { alarm, event: null };
+
+  // Outside its schedule the alarm is disarmed - forget where we were so it starts fresh next window.
+  // An alarm that is already ringing keeps ringing until stopped.
+  if (!alarm.triggered && !isAlarmInWindow(alarm, new Date(now))) {
+    if (alarm.wasInside == null && !alarm.pendingCrossing) return { alarm, event: null };
+    return { alarm: { ...alarm, wasInside: null, pendingCrossing: null, pendingFixes: 0, pendingSince: null }, event: null };
+  }
+
+  // Uncertainty circle overlaps the boundary (or the update is for another alarm) - nothing to learn here
+  if (isInside == null) return { alarm, event: null };
+
+  // wasInside is persisted so foreground and background updates share the same state.
+  // Unknown (null) counts as outside, so arrival alarms still ring on the first fix inside.
+  const wasInside = alarm.wasInside === true;
+
+  if (alarm.triggered) {
+    const ringing = alarm.wasInside === isInside ? alarm : { ...alarm, wasInside: isInside };
+    return { alarm: ringing, event: ringing.snoozedUntil && now >= ringing.snoozedUntil ? 'snooze-over' : null };
+  }
+
+  // Repeating alarm that was just stopped - keep it quiet until it has re-armed
+  if (alarm.rearm) {
+    const movedAway = coords ? hasMovedToRearm(coords, alarm, motion) : isInside === (alarm.rearm.crossing === 'exit');
+    if (now >= alarm.rearm.until || movedAway) {
+      return { alarm: { ...alarm, rearm: null, wasInside: isInside, pendingCrossing: null, pendingFixes: 0, pendingSince: null }, event: null };
+    }
+    if (alarm.wasInside === isInside) return { alarm, event: null };
+    return { alarm: { ...alarm, wasInside: isInside }, event: null };
+  }
+
+  if (isInside === wasInside) {
+    // Still on the same side - forget any half-confirmed crossing
+    if (alarm.wasInside === isInside && !alarm.pendingCrossing) return { alarm, event: null };
+    return { alarm: { ...alarm, wasInside: isInside, pendingCrossing: null, pendingFixes: 0, pendingSince: null }, event: null };
+  }
+
+  // --- DEBOUNCE: confirm the crossing over several fixes or a dwell time ---
+  const crossing = isInside ? 'enter' : 'exit';
+  const isSameCrossing = alarm.pendingCrossing === crossing;
+  const pendingFixes = isSameCrossing ? (alarm.pendingFixes || 0) + 1 : 1;
+  const pendingSince = isSameCrossing && alarm.pendingSince ? alarm.pendingSince : now;
+  const confirmed = !debounce || pendingFixes >= settings.requiredFixes ||
+    (pendingFixes > 1 && now - pendingSince >= settings.minDwellSeconds * 1000);
+
+  if (!confirmed) {
+    return { alarm: { ...alarm, pendingCrossing: crossing, pendingFixes, pendingSince }, event: null };
+  }
+
+  const crossedAlarm = { ...alarm, wasInside: isInside, pendingCrossing: null, pendingFixes: 0, pendingSince: null };
+  const triggerType = getTriggerType(alarm);
+  if (triggerType !== 'both' && triggerType !== crossing) return { alarm: crossedAlarm, event: null };
+
+  // Mark triggered but keep 'active' true so it stays ON in UI until stopped
+  return { alarm: { ...crossedAlarm, triggered: true, triggeredBy: crossing, triggeredAt: now }, event: 'trigger' };
+};
+
+// Runs stepAlarm over every alarm. getSide(alarm) returns true, false or null.
+// Returns { alarms, events: [{ type, alarmId }], changed } - alarms is the input array when nothing changed.
+export const evaluateAlarms = (alarms, getSide, options) => {
+  const events = [];
+  let changed = false;
+  const updated = alarms.map(alarm => {
+    const result = stepAlarm(alarm, getSide(alarm), options);
+    if (result.alarm !== alarm) changed = true;
+    if (result.event) {
+      changed = true;
+      events.push({ type: result.event, alarmId: alarm.id });
+    }
+    return result.alarm;
+  });
+  return { alarms: changed ? updated : alarms, events, changed };
+};
@@ -0,0 +1,101 @@
+// --- UNITS: Metric / imperial distances ---
+// Alarms always store metres; only what's shown changes. formatDistance() is used for every distance on
+// screen and in notifications. Sliders move through SLIDER_STEPS so they stop on round numbers in the
+// chosen system (250 m, 500 ft, 1 mi) instead of metre values that convert to 492 ft.
+// Like the language, the unit system is module state so the background tasks can format distances.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { t, getDeviceLocale } from './i18n.js';
+
+const UNITS_KEY = '@distance_units';
+
+export const FEET_PER_METER = 3.28084;
+export const METERS_PER_MILE = 1609.344;
+
+// 'auto' picks imperial in the countries that still use it
+export const UNIT_SYSTEMS = [
+  { value: 'auto', labelKey: 'units.auto' },
+  { value: 'metric', labelKey: 'units.metric' },
+  { value: 'imperial', labelKey: 'units.imperial' },
+];
+
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM'];
+
+const feet = (value) => value / FEET_PER_METER;
+const miles = (value) => value * METERS_PER_MILE;
+
+// Metres for each stop of each slider. The metric and imperial lists cover about the same range.
+const SLIDER_STEPS = {
+  radius: {
+    metric: [50, 75, 100, 150, 200, 250, 300, 400, 500, 600, 750, 1000, 1250, 1500, 2000, 2500, 3000, 4000, 5000],
+    imperial: [...[200, 250, 300, 400, 500, 750, 1000, 1500, 2000].map(feet), ...[0.5, 0.75, 1, 1.25, 1.5, 2, 2.5, 3].map(miles)],
+  },
+  rearm: {
+    metric: [50, 100, 150, 200, 300, 400, 500, 750, 1000, 1500, 2000],
+    imperial: [...[200, 300, 500, 750, 1000, 1500, 2000].map(feet), ...[0.5, 0.75, 1, 1.25].map(miles)],
+  },
+  accuracy: {
+    metric: [10, 15, 20, 25, 30, 40, 50, 75, 100, 150, 200],
+    imperial: [30, 50, 75, 100, 150, 200, 250, 300, 400, 500, 650].map(feet),
+  },
+};
+
+let currentUnits = 'metric';
+
+export const resolveUnits = (preference) => {
+  if (preference === 'metric' || preference === 'imperial') return preference;
+  const region = getDeviceLocale().split('-').pop().toUpperCase();
+  return IMPERIAL_REGIONS.includes(region) ? 'imperial' : 'metric';
+};
+
+export const getUnits = () => currentUnits;
+
+export const setUnits = (preference) => {
+  currentUnits = resolveUnits(preference);
+  return currentUnits;
+};
+
+// Resolves to the saved preference ('auto', 'metric' or 'imperial') and makes it current
+export const loadUnits = async () => {
+  let preference = 'auto';
+  try {
+    preference = (await AsyncStorage.getItem(UNITS_KEY)) || 'auto';
+  } catch (e) {
+    console.log("Error loading units:", e);
+  }
+  setUnits(preference);
+  return preference;
+};
+
+export const saveUnits = async (preference) => {
+  setUnits(preference);
+  await AsyncStorage.setItem(UNITS_KEY, preference);
+};
+
+const formatNumber = (value, decimals) => Number(value.toFixed(decimals)).toString();
+
+// 1.2 km / 350 m, or 0.8 mi / 450 ft. Feet are rounded to 10 above 100 ft; miles take over from 1000 ft.
+export const formatDistance = (meters) => {
+  if (currentUnits === 'imperial') {
+    const inFeet = meters * FEET_PER_METER;
+    if (inFeet < 1000) {
+      return t('units.feet', { value: inFeet < 100 ? Math.round(inFeet) : Math.round(inFeet / 10) * 10 });
+    }
+    const inMiles = meters / METERS_PER_MILE;
+    return t('units.miles', { value: formatNumber(inMiles, inMiles < 10 ? 1 : 0) });
+  }
+  if (meters >= 1000) return t('units.kilometers', { value: formatNumber(meters / 1000, 1) });
+  return t('units.meters', { value: Math.round(meters) });
+};
+
+// The radius box takes the small unit - metres, or feet in imperial - so short radii can be typed exactly
+export const toInputUnits = (meters) => Math.round(currentUnits === 'imperial' ? meters * FEET_PER_METER : meters);
+export const fromInputUnits = (value) => (currentUnits === 'imperial' ? value / FEET_PER_METER : value);
+export const getInputUnitLabel = () => t(currentUnits === 'imperial' ? 'units.footUnit' : 'units.meterUnit');
+
+// Metre values a slider of the given kind ('radius', 'rearm', 'accuracy') stops at
+export const getSliderSteps = (kind) => SLIDER_STEPS[kind][currentUnits];
+
+// Index of the step nearest to the given distance - the slider's value for a stored radius
+export const getNearestStepIndex = (steps, meters) => steps.reduce(
+  (best, step, i) => (Math.abs(step - meters) < Math.abs(steps[best] - meters) ? i : best), 0,
+);
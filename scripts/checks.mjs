@@ -0,0 +1,23 @@
+// Tiny runner shared by the test-*.mjs checks: check(name, fn) adds a case, report(title) runs them in order,
+// prints ok / FAIL per case like test-replay.mjs and exits with code 1 when any failed. fn may be async and
+// fails by throwing - node:assert does that.
+const checks = [];
+
+export const check = (name, fn) => {
+  checks.push({ name, fn });
+};
+
+export const report = async (title) => {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok    ${name}`);
+    } catch (e) {
+      failed++;
+      console.error(`FAIL  ${name}\n  ${e.message.split('\n').join('\n  ')}`);
+    }
+  }
+  console.log(`\n${checks.length - failed} of ${checks.length} ${title} passed`);
+  if (failed > 0 || checks.length === 0) process.exit(1);
+};
@@ -0,0 +1,21 @@
+// In-memory AsyncStorage for the Node checks - the real module needs React Native. storage-hooks.mjs points
+// lib imports of '@react-native-async-storage/async-storage' here; checks import it too to seed and inspect.
+const items = new Map();
+
+const AsyncStorage = {
+  getItem: async (key) => items.has(key) ? items.get(key) : null,
+  setItem: async (key, value) => {
+    items.set(key, String(value));
+  },
+  removeItem: async (key) => {
+    items.delete(key);
+  },
+  multiRemove: async (keys) => {
+    keys.forEach(key => items.delete(key));
+  },
+  clear: async () => {
+    items.clear();
+  },
+};
+
+export default AsyncStorage;
@@ -0,0 +1,49 @@
+// Replays a recorded GPS track against a set of alarms headless, using the app's trigger engine.
+//
+//   node scripts/replay-track.mjs <alarms.json> <track.gpx|track.json> [--expect expected.json] [--max-accuracy 50]
+//
+// alarms.json: a list of alarm records (as stored by the app, bare or as { version, alarms }).
+// Alarms are treated as switched on unless they say "active": false.
+// expected.json: the trigger events that should happen, in order, e.g. [{ "alarmId": "home" }].
+// Entries may also give "alarmName" and "fixIndex". Exits with code 1 when the replay doesn't match.
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseTrack, simulateTrack, toReplayAlarms, compareTriggerEvents } from '../lib/trackReplay.js';
+import { DEFAULT_TRIGGER_SETTINGS } from '../lib/triggerEngine.js';
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+  const [, value] = args.splice(index, 2);
+  return value;
+};
+const expectPath = option('--expect');
+const maxAccuracy = option('--max-accuracy');
+const [alarmsPath, trackPath] = args;
+
+if (!alarmsPath || !trackPath) {
+  console.error('Usage: node scripts/replay-track.mjs <alarms.json> <track.gpx|track.json> [--expect expected.json] [--max-accuracy 50]');
+  process.exit(2);
+}
+
+const alarms = toReplayAlarms(JSON.parse(readFileSync(alarmsPath, 'utf8')));
+const fixes = parseTrack(readFileSync(trackPath, 'utf8'), basename(trackPath));
+const settings = maxAccuracy ? { ...DEFAULT_TRIGGER_SETTINGS, maxAccuracy: Number(maxAccuracy) } : DEFAULT_TRIGGER_SETTINGS;
+
+const { events } = simulateTrack(alarms, fixes, { settings });
+const startTime = fixes[0].timestamp;
+console.log(`${fixes.length} fixes, ${alarms.length} alarms, ${events.length} trigger${events.length === 1 ? '' : 's'}`);
+events.forEach(e => {
+  const elapsed = Math.round((e.timestamp - startTime) / 1000);
+  console.log(`  +${elapsed}s fix #${e.fixIndex}: ${e.alarmName} (${e.alarmId}) at ${e.latitude.toFixed(6)}, ${e.longitude.toFixed(6)}`);
+});
+
+if (expectPath) {
+  const failures = compareTriggerEvents(JSON.parse(readFileSync(expectPath, 'utf8')), events);
+  if (failures.length > 0) {
+    console.error(`FAIL\n  ${failures.join('\n  ')}`);
+    process.exit(1);
+  }
+  console.log('PASS');
+}
@@ -0,0 +1,7 @@
+// Module hooks for the Node checks, registered with module.register(): resolves AsyncStorage to memory-storage.mjs.
+const MEMORY_STORAGE_URL = new URL('./memory-storage.mjs', import.meta.url).href;
+
+export const resolve = (specifier, context, nextResolve) =>
+  specifier === '@react-native-async-storage/async-storage'
+    ? { url: MEMORY_STORAGE_URL, shortCircuit: true }
+    : nextResolve(specifier, context);
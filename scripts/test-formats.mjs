@@ -0,0 +1,70 @@
+// Checks for GPX / KML / GeoJSON import and export in lib/alarmFormats.js. Run with `npm test`.
+import assert from 'node:assert/strict';
+import { exportAlarms, importAlarms, detectFormat, DEFAULT_IMPORT_RADIUS } from '../lib/alarmFormats.js';
+import { getPolygonCentroid } from '../lib/triggerEngine.js';
+import { check, report } from './checks.mjs';
+
+const circle = { name: 'Station <North> & "Co"', latitude: 12.971599, longitude: 77.594566, radius: 300, shape: 'circle', polygon: null, triggerType: 'exit' };
+const area = {
+  name: 'Campus',
+  latitude: 12.935,
+  longitude: 77.615,
+  radius: 200,
+  shape: 'polygon',
+  polygon: [{ latitude: 12.93, longitude: 77.61 }, { latitude: 12.93, longitude: 77.62 }, { latitude: 12.94, longitude: 77.62 }, { latitude: 12.94, longitude: 77.61 }],
+  triggerType: 'both',
+};
+
+// What an import should give back for an alarm - polygons come back centred on their vertices
+const asDraft = ({ name, latitude, longitude, radius, shape, polygon, triggerType }) => ({ name, latitude, longitude, radius, shape, polygon, triggerType });
+
+['gpx', 'kml', 'geojson'].forEach(format => {
+  check(`${format} round-trip keeps circles and polygons`, () => {
+    const drafts = importAlarms(exportAlarms([circle, area], format), `alarms.${format}`);
+    assert.deepEqual(drafts, [asDraft(circle), asDraft({ ...area, ...getPolygonCentroid(area.polygon) })]);
+  });
+});
+
+check('format is sniffed from the content without a known extension', () => {
+  assert.equal(detectFormat('export.txt', '  {"type": "FeatureCollection"}'), 'geojson');
+  assert.equal(detectFormat(null, '<?xml version="1.0"?>\n<gpx version="1.1">'), 'gpx');
+  assert.equal(detectFormat('places', '<kml xmlns="http://www.opengis.net/kml/2.2">'), 'kml');
+  assert.equal(detectFormat('notes.txt', 'hello'), null);
+});
+
+check('GeoJSON string coordinates become numbers', () => {
+  const text = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: ['77.5', '12.9'] }, properties: { name: 'Stop', radius: '250' } },
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[['77.61', '12.93'], ['77.62', '12.93'], ['77.62', '12.94'], ['77.61', '12.93']]] }, properties: {} },
+    ],
+  });
+  const [point, polygon] = importAlarms(text, 'stops.geojson', { defaultName: 'Unnamed' });
+  assert.deepEqual([point.latitude, point.longitude, point.radius], [12.9, 77.5, 250]);
+  assert.deepEqual(polygon.polygon, [{ latitude: 12.93, longitude: 77.61 }, { latitude: 12.93, longitude: 77.62 }, { latitude: 12.94, longitude: 77.62 }]);
+  assert.equal(polygon.name, 'Unnamed');
+});
+
+check('invalid places are skipped and missing fields get defaults', () => {
+  const gpx = [
+    '<gpx>',
+    '  <wpt lat="91" lon="10"><name>Off the globe</name></wpt>',
+    '  <wpt lat="abc" lon="10"/>',
+    '  <wpt lat="48.1" lon="11.5"><desc>radius=120</desc></wpt>',
+    '  <rte><name>Just a path</name><rtept lat="1" lon="1"/><rtept lat="1" lon="2"/><rtept lat="2" lon="2"/></rte>',
+    '</gpx>',
+  ].join('\n');
+  assert.deepEqual(importAlarms(gpx, 'mixed.gpx'), [
+    { name: 'Imported alarm', latitude: 48.1, longitude: 11.5, radius: 120, shape: 'circle', polygon: null, triggerType: 'enter' },
+  ]);
+  const kml = '<kml><Placemark><name>Big</name><ExtendedData><Data name="radius"><value>-5</value></Data></ExtendedData><Point><coordinates>11.5,48.1</coordinates></Point></Placemark></kml>';
+  assert.equal(importAlarms(kml, 'big.kml')[0].radius, DEFAULT_IMPORT_RADIUS);
+});
+
+check('malformed files throw', () => {
+  assert.throws(() => importAlarms('{"type": "FeatureCollection", ', 'broken.geojson'), SyntaxError);
+  assert.throws(() => importAlarms('just some text', 'notes.txt'), (e) => e.key === 'import.unsupported');
+});
+
+await report('format checks');
@@ -0,0 +1,52 @@
+// Checks for the myapp://alarm links in lib/alarmLinks.js. Run with `npm test`.
+import assert from 'node:assert/strict';
+import { buildAlarmLink, parseNewAlarmParams } from '../lib/alarmLinks.js';
+import { DEFAULT_IMPORT_RADIUS } from '../lib/alarmFormats.js';
+import { MIN_RADIUS, MAX_RADIUS } from '../lib/triggerEngine.js';
+import { check, report } from './checks.mjs';
+
+// The query of a built link as the params object expo-router hands to the alarm/new route
+const toParams = (link) => Object.fromEntries(new URL(link).searchParams);
+
+check('radius is clamped to the edit panel limits', () => {
+  assert.equal(parseNewAlarmParams({ lat: '12.9', lng: '77.5', radius: '999999' }).radius, MAX_RADIUS);
+  assert.equal(parseNewAlarmParams({ lat: '12.9', lng: '77.5', radius: '3' }).radius, MIN_RADIUS);
+  assert.equal(parseNewAlarmParams({ lat: '12.9', lng: '77.5', radius: '750.4' }).radius, 750.4);
+});
+
+check('missing or unusable radius falls back to the import default', () => {
+  assert.equal(parseNewAlarmParams({ lat: '12.9', lng: '77.5' }).radius, DEFAULT_IMPORT_RADIUS);
+  assert.equal(parseNewAlarmParams({ lat: '12.9', lng: '77.5', radius: 'wide' }).radius, DEFAULT_IMPORT_RADIUS);
+  assert.equal(parseNewAlarmParams({ lat: '12.9', lng: '77.5', radius: '-20' }).radius, DEFAULT_IMPORT_RADIUS);
+});
+
+check('invalid places are rejected', () => {
+  assert.equal(parseNewAlarmParams({}), null);
+  assert.equal(parseNewAlarmParams({ lat: '91', lng: '77.5' }), null);
+  assert.equal(parseNewAlarmParams({ lat: '12.9', lng: 'east' }), null);
+});
+
+check('name is trimmed and trigger falls back to enter', () => {
+  const draft = parseNewAlarmParams({ lat: '12.9', lon: '77.5', name: '  Office ', trigger: 'sideways' });
+  assert.equal(draft.name, 'Office');
+  assert.equal(draft.longitude, 77.5);
+  assert.equal(draft.triggerType, 'enter');
+  assert.equal(parseNewAlarmParams({ lat: '12.9', lng: '77.5', name: '   ' }).name, null);
+});
+
+check('a usable polygon wins over lat/lng, a broken one is dropped', () => {
+  const draft = parseNewAlarmParams({ lat: '0', lng: '0', poly: '1,1;1,3;4,3' });
+  assert.deepEqual([draft.latitude, draft.longitude], [2, 7 / 3]);
+  assert.equal(draft.polygon.length, 3);
+  const broken = parseNewAlarmParams({ lat: '12.9', lng: '77.5', poly: '1,1;1,3;nope' });
+  assert.deepEqual([broken.latitude, broken.longitude, broken.polygon], [12.9, 77.5, null]);
+});
+
+check('a built link parses back to the same alarm', () => {
+  const alarm = { name: 'Home & garden', latitude: 12.9715987, longitude: 77.5945627, radius: 249.6, triggerType: 'both', shape: 'circle', polygon: null };
+  assert.deepEqual(parseNewAlarmParams(toParams(buildAlarmLink(alarm))), {
+    name: 'Home & garden', latitude: 12.971599, longitude: 77.594563, radius: 250, triggerType: 'both', polygon: null,
+  });
+});
+
+await report('link checks');
@@ -0,0 +1,45 @@
+// Regression test for the trigger engine: replays every saved track in scripts/fixtures/replay and checks the
+// triggers against the case's expected.json. Run with `npm test`; exits with code 1 when any case differs.
+//
+// Each case is a folder with alarms.json, track.gpx or track.json, and expected.json (the same formats as
+// replay-track.mjs takes). An empty expected.json means nothing may ring. A case may add settings.json with
+// the trigger settings it needs, e.g. { "maxAccuracy": 30 }; the rest stay at their defaults.
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseTrack, simulateTrack, toReplayAlarms, compareTriggerEvents } from '../lib/trackReplay.js';
+import { DEFAULT_TRIGGER_SETTINGS } from '../lib/triggerEngine.js';
+
+const FIXTURES_DIR = new URL('./fixtures/replay/', import.meta.url).pathname;
+
+const readJson = (path) => JSON.parse(readFileSync(path, 'utf8'));
+
+const runCase = (dir) => {
+  const trackFile = ['track.gpx', 'track.json'].find(file => existsSync(join(dir, file)));
+  if (!trackFile) return ['no track.gpx or track.json'];
+  const settingsPath = join(dir, 'settings.json');
+  const settings = { ...DEFAULT_TRIGGER_SETTINGS, ...(existsSync(settingsPath) ? readJson(settingsPath) : {}) };
+  const alarms = toReplayAlarms(readJson(join(dir, 'alarms.json')));
+  const fixes = parseTrack(readFileSync(join(dir, trackFile), 'utf8'), trackFile);
+  const { events } = simulateTrack(alarms, fixes, { settings });
+  return compareTriggerEvents(readJson(join(dir, 'expected.json')), events);
+};
+
+const cases = readdirSync(FIXTURES_DIR, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+let failed = 0;
+cases.forEach(name => {
+  let failures;
+  try {
+    failures = runCase(join(FIXTURES_DIR, name));
+  } catch (e) {
+    failures = [e.message];
+  }
+  if (failures.length === 0) {
+    console.log(`ok    ${name}`);
+    return;
+  }
+  failed++;
+  console.error(`FAIL  ${name}\n  ${failures.join('\n  ')}`);
+});
+
+console.log(`\n${cases.length - failed} of ${cases.length} replay cases passed`);
+if (failed > 0 || cases.length === 0) process.exit(1);
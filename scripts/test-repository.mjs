@@ -0,0 +1,101 @@
+// Checks for lib/alarmRepository.js: migration, load errors, recovery, refused writes and the write queue.
+// Storage is the in-memory stand-in from memory-storage.mjs. Run with `npm test`.
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { check, report } from './checks.mjs';
+
+register('./storage-hooks.mjs', import.meta.url);
+const { default: AsyncStorage } = await import('./memory-storage.mjs');
+const AlarmRepository = await import('../lib/alarmRepository.js');
+
+const STORAGE_KEY = '@gps_alarms';
+const BACKUP_KEY = '@gps_alarms_backup';
+const TRIPS_KEY = '@gps_trips';
+
+const makeAlarm = (id, fields = {}) => ({
+  id, name: `Alarm ${id}`, latitude: 12.9, longitude: 77.5, radius: 300, shape: 'circle', polygon: null, active: false, ...fields,
+});
+
+const store = (key, value) => AsyncStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+const stored = async (key) => JSON.parse(await AsyncStorage.getItem(key));
+
+// Each check starts from empty storage
+const storageCheck = (name, fn) => check(name, async () => {
+  await AsyncStorage.clear();
+  await fn();
+});
+
+const assertStorageError = (code) => (e) => {
+  assert.ok(e instanceof AlarmRepository.AlarmStorageError, `expected an AlarmStorageError, got ${e}`);
+  assert.equal(e.code, code);
+  return true;
+};
+
+storageCheck('version 0 arrays migrate on load and are written back on the next update', async () => {
+  await store(STORAGE_KEY, [{ id: 7, name: 'Old', latitude: 1, longitude: 2, radius: 100, active: true }]);
+  const [alarm] = await AlarmRepository.load();
+  assert.deepEqual(alarm, {
+    shape: 'circle', polygon: null, triggerType: 'enter', mode: 'radius', repeat: false, triggered: false,
+    id: '7', name: 'Old', latitude: 1, longitude: 2, radius: 100, active: true,
+  });
+  assert.ok(Array.isArray(await stored(STORAGE_KEY)), 'load alone must not write');
+
+  await AlarmRepository.update(alarms => alarms);
+  const written = await stored(STORAGE_KEY);
+  assert.equal(written.version, AlarmRepository.SCHEMA_VERSION);
+  assert.deepEqual(written.alarms, [alarm]);
+});
+
+storageCheck('unreadable or unknown data is corrupt', async () => {
+  await store(STORAGE_KEY, '{"version": 1, "alarms": [');
+  await assert.rejects(AlarmRepository.load(), (e) => assertStorageError('corrupt')(e) && e.raw === '{"version": 1, "alarms": [');
+  await store(STORAGE_KEY, { alarms: 'nope' });
+  await assert.rejects(AlarmRepository.load(), assertStorageError('corrupt'));
+});
+
+storageCheck('data from a newer version is refused', async () => {
+  await store(STORAGE_KEY, { version: AlarmRepository.SCHEMA_VERSION + 1, alarms: [] });
+  await assert.rejects(AlarmRepository.load(), assertStorageError('newer-version'));
+});
+
+storageCheck('damaged records are reported and recover() keeps the rest with a backup', async () => {
+  const raw = JSON.stringify({ version: 1, alarms: [makeAlarm('a'), makeAlarm('b', { radius: -1 }), makeAlarm('c', { shape: 'blob' })] });
+  await store(STORAGE_KEY, raw);
+  let error;
+  await assert.rejects(AlarmRepository.load(), (e) => {
+    error = e;
+    return assertStorageError('invalid')(e);
+  });
+  assert.deepEqual(error.validAlarms.map(a => a.id), ['a']);
+
+  assert.deepEqual(await AlarmRepository.recover(error), [makeAlarm('a')]);
+  assert.equal(await AsyncStorage.getItem(BACKUP_KEY), raw);
+  assert.deepEqual(await AlarmRepository.load(), [makeAlarm('a')]);
+});
+
+storageCheck('a broken record is never written', async () => {
+  await store(STORAGE_KEY, { version: 1, alarms: [makeAlarm('a')] });
+  await assert.rejects(
+    AlarmRepository.update(alarms => [...alarms, makeAlarm('b', { latitude: 120 })]),
+    (e) => assertStorageError('invalid-write')(e) && e.problem === 'storage.problem.coordinates' && e.alarmName === 'Alarm b',
+  );
+  assert.deepEqual((await stored(STORAGE_KEY)).alarms, [makeAlarm('a')]);
+});
+
+storageCheck('queued updates each see the previous write, trips included', async () => {
+  await Promise.all(['a', 'b', 'c'].map(id => AlarmRepository.updateWithEvents((alarms, trips) => ({
+    alarms: [...alarms, makeAlarm(id)],
+    trips: [...trips, { id: `trip-${id}`, stops: [id] }],
+    events: [id],
+  }))));
+  assert.deepEqual((await AlarmRepository.load()).map(a => a.id), ['a', 'b', 'c']);
+  assert.deepEqual((await AlarmRepository.loadTrips()).map(trip => trip.id), ['trip-a', 'trip-b', 'trip-c']);
+});
+
+storageCheck('a failed update leaves the queue running and the trips unwritten', async () => {
+  await assert.rejects(AlarmRepository.updateWithEvents(() => ({ alarms: [makeAlarm('x', { name: 5 })], trips: [{ id: 'lost' }] })));
+  assert.equal(await AsyncStorage.getItem(TRIPS_KEY), null);
+  assert.deepEqual(await AlarmRepository.update(alarms => [...alarms, makeAlarm('y')]), [makeAlarm('y')]);
+});
+
+await report('repository checks');
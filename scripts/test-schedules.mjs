@@ -0,0 +1,62 @@
+// Checks for schedule windows and validity dates in lib/triggerEngine.js. Run with `npm test`.
+// Dates are local time, like the schedules themselves. 2026-10-19 is a Monday.
+import assert from 'node:assert/strict';
+import { parseTime, parseDate, isAlarmInWindow, isAlarmExpired, getNextArmedTime } from '../lib/triggerEngine.js';
+import { check, report } from './checks.mjs';
+
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+const commute = { schedule: { days: [1, 2, 3, 4, 5], ranges: [{ start: '07:00', end: '10:00' }] } };
+const nightShift = { schedule: { days: [5], ranges: [{ start: '22:00', end: '06:00' }] } };
+
+check('parseTime and parseDate reject out-of-range values', () => {
+  assert.equal(parseTime('07:30'), 7 * 60 + 30);
+  assert.equal(parseTime('24:00'), null);
+  assert.equal(parseTime('7:5'), null);
+  assert.deepEqual(parseDate('2026-10-19'), new Date(2026, 9, 19));
+  assert.equal(parseDate('2026-02-30'), null);
+});
+
+check('weekday window includes its start and excludes its end', () => {
+  assert.equal(isAlarmInWindow(commute, at(19, 7)), true);
+  assert.equal(isAlarmInWindow(commute, at(19, 9, 59)), true);
+  assert.equal(isAlarmInWindow(commute, at(19, 10)), false);
+  assert.equal(isAlarmInWindow(commute, at(24, 8)), false);
+});
+
+check('overnight range runs into the next day', () => {
+  assert.equal(isAlarmInWindow(nightShift, at(23, 23)), true);
+  assert.equal(isAlarmInWindow(nightShift, at(24, 5, 59)), true);
+  assert.equal(isAlarmInWindow(nightShift, at(24, 6)), false);
+  assert.equal(isAlarmInWindow(nightShift, at(24, 23)), false);
+  assert.equal(isAlarmInWindow(nightShift, at(23, 5)), false);
+});
+
+check('next armed time is now inside a window and the next start outside one', () => {
+  assert.deepEqual(getNextArmedTime(commute, at(20, 8)), at(20, 8));
+  assert.deepEqual(getNextArmedTime(commute, at(20, 11)), at(21, 7));
+  assert.deepEqual(getNextArmedTime(commute, at(24, 9)), at(26, 7));
+  assert.deepEqual(getNextArmedTime(nightShift, at(19, 12)), at(23, 22));
+});
+
+check('end date includes its whole day, then the alarm expires', () => {
+  const alarm = { schedule: null, endDate: '2026-10-20' };
+  assert.equal(isAlarmInWindow(alarm, at(20, 23, 59)), true);
+  assert.equal(isAlarmExpired(alarm, at(20, 23, 59)), false);
+  assert.equal(isAlarmInWindow(alarm, at(21, 0)), false);
+  assert.equal(isAlarmExpired(alarm, at(21, 0)), true);
+  assert.equal(getNextArmedTime(alarm, at(21, 0)), null);
+});
+
+check('no next window once the remaining ones are past the end date', () => {
+  const alarm = { ...commute, endDate: '2026-10-23' };
+  assert.deepEqual(getNextArmedTime(alarm, at(23, 6)), at(23, 7));
+  assert.equal(getNextArmedTime(alarm, at(23, 11)), null);
+});
+
+check('start date in the future delays the first window', () => {
+  assert.deepEqual(getNextArmedTime({ schedule: null, startDate: '2026-10-22' }, at(19, 12)), at(22, 0));
+  assert.deepEqual(getNextArmedTime({ ...commute, startDate: '2026-10-22' }, at(19, 8)), at(22, 7));
+});
+
+await report('schedule checks');
@@ -0,0 +1,37 @@
+// A local stand-in for a dispatch server, for testing webhook arrival actions.
+//
+//   node scripts/webhook-stand-in.mjs [--port 8787] [--fail 2]
+//
+// Logs every POST body. --fail N answers the first N requests with 503 to exercise the retry queue.
+// Point the alarm's webhook at http://<this computer's LAN IP>:8787/ (10.0.2.2 from the Android emulator).
+// Plain http needs cleartext traffic allowed in the app build; use a tunnel with https otherwise.
+import { createServer } from 'node:http';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : Number(args[index + 1]);
+};
+const port = option('--port', 8787);
+let failuresLeft = option('--fail', 0);
+let received = 0;
+
+createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received++;
+    const failing = req.method === 'POST' && failuresLeft > 0;
+    if (failing) failuresLeft--;
+    console.log(`#${received} ${new Date().toISOString()} ${req.method} ${req.url} -> ${failing ? 503 : 200}`);
+    if (body) {
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch (e) {
+        console.log(body);
+      }
+    }
+    res.writeHead(failing ? 503 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: !failing }));
+  });
+}).listen(port, () => console.log(`Webhook stand-in listening on http://localhost:${port}/`));